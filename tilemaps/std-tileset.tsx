@@ -20,6 +20,11 @@
   <image width="18" height="18" source="../art/output/tiles.psd/coin.png"/>
  </tile>
  <tile id="47">
+  <properties>
+   <property name="anchorX" type="float" value="0.5"/>
+   <property name="anchorY" type="float" value="1"/>
+   <property name="scale" type="float" value="2"/>
+  </properties>
   <image width="18" height="18" source="../art/output/tiles.psd/diamond.png"/>
  </tile>
  <tile id="48">
@@ -50,7 +55,16 @@
   <image width="18" height="18" source="../art/output/tiles.psd/mushroom.png"/>
  </tile>
  <tile id="57">
+  <properties>
+   <property name="anchorX" type="float" value="0.5"/>
+   <property name="anchorY" type="float" value="1"/>
+   <property name="behaviour" value="patrol"/>
+  </properties>
   <image width="20" height="40" source="../art/output/tiles.psd/player_0.png"/>
+  <animation>
+   <frame tileid="57" duration="167"/>
+   <frame tileid="58" duration="167"/>
+  </animation>
  </tile>
  <tile id="58">
   <image width="20" height="40" source="../art/output/tiles.psd/player_1.png"/>
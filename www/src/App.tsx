@@ -2,26 +2,37 @@ import { AnimComp } from '@/components/anim-comp';
 
 import { useControls } from 'leva';
 
-const modes = ['default'] as const;
+// The benchmark repeats the level to stress tile rendering, toggle |chunkTiles| to compare
+const modes = ['default', 'benchmark'] as const;
 // type DemoMode = (typeof demoModes)[number];
 
 // Global pixi settings
 
 function App() {
-  const { mode } = useControls({
+  const { mode, chunkTiles, paused, pixelScale } = useControls({
     mode: {
       options: modes,
       value: modes[0],
     },
+    chunkTiles: true,
+    paused: false,
+    pixelScale: { value: 1, min: 1, max: 4, step: 1 },
   });
+  const benchmark = mode === 'benchmark';
 
   return (
     mode && (
       <div className="flex flex-1">
         <AnimComp
+          key={`${mode}-${chunkTiles}`} // Recreated when changed
           className="absolute w-full h-full p-0 self-stretch"
           tileDims={{ width: 16, height: 14 }}
           tileSize={18}
+          chunkTiles={chunkTiles}
+          repeatMaps={benchmark ? { x: 32, y: 16 } : undefined}
+          benchmark={benchmark}
+          paused={paused}
+          pixelScale={pixelScale}
         />
       </div>
     )
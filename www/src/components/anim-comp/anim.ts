@@ -5,16 +5,58 @@ import {
   Ticker,
   Filter,
   Container,
-  AnimatedSprite,
   Assets,
   Spritesheet,
 } from 'pixi.js'; // Version: ^8.6.6
+import 'pixi.js/advanced-blend-modes'; // Layer blend modes beyond normal, add, multiply and screen
 
 import gsap from 'gsap';
 import { containScale } from '@/utils/scale-fit';
 // import { CRTFilter } from 'pixi-filters';
 import { debounce } from '@/utils/debounce';
+import { mixColors, parseTiledColor, toCssColor } from '@/utils/color';
 import type { TileMap } from '@/types/tile.types';
+import type { LevelObject } from '@/utils/tiled-objects';
+import { createProperties, type Properties } from '@/utils/tiled-props';
+import type { LevelEntry, LevelManifest } from '@/types/level.types';
+import {
+  getLevelEntry,
+  getNextLevelEntry,
+  loadLevelManifest,
+} from '@/utils/level-manifest';
+import {
+  getTileMapAssets,
+  loadTileMap,
+  repeatTileMap,
+} from '@/utils/tiled-maps';
+import {
+  createMapProjection,
+  type MapProjection,
+  type ScreenPoint,
+  type TilePoint,
+} from '@/utils/tiled-projection';
+import {
+  isWorldPath,
+  loadTileWorld,
+  type WorldMap,
+} from '@/utils/tiled-worlds';
+import {
+  defaultEntityFactories,
+  type EntityFactory,
+} from '@/components/anim-comp/entities';
+import {
+  defaultTileBehaviours,
+  type TileBehaviour,
+  type TileRenderConfig,
+} from '@/components/anim-comp/tile-render';
+import {
+  createLevel,
+  type Level,
+  type TileChangeListener,
+  type WorldBounds,
+} from '@/components/anim-comp/level';
+import { createWorld, type World } from '@/components/anim-comp/world';
+import { createAnimationClock } from '@/components/anim-comp/animation-clock';
 // import { bringToFront } from '@/utils/pixi';
 
 // import { delay } from '@/utils/async';
@@ -24,41 +66,158 @@ import type { TileMap } from '@/types/tile.types';
 type InitProps = {
   parent: HTMLElement;
   onLoaded?: () => void;
+  /** Called once a level has loaded, or with undefined once unloaded */
+  onLevelChange?: (level: LevelEntry | undefined) => void;
 };
 
 export type Anim = {
   init: (initProps: InitProps) => void;
   destroy: (() => Promise<void>) | (() => void);
+  /** Levels from the manifest, in play order */
+  getLevels: () => LevelEntry[];
+  /** The loaded level, if any */
+  getCurrentLevel: () => LevelEntry | undefined;
+  /** Unloads the current level then loads the level with the given id, resolves once built */
+  loadLevel: (id: string) => Promise<void>;
+  /** Loads the level after the current one, resolves false if it was the last */
+  loadNextLevel: () => Promise<boolean>;
+  /** Destroys the current level's display objects and stops its tweens */
+  unloadLevel: () => void;
+  /** The level's maps in world pixels, a world level streams its maps in and out near the camera */
+  getMaps: () => (WorldMap & { loaded: boolean })[];
+  /** Bounds of the loaded level in world pixels, all the maps of a world */
+  getLevelBounds: () => WorldBounds | undefined;
+  /**
+   * Moves the top left of the view, in world pixels. Fractions move the entities in steps of
+   * 1 / |AnimProps.pixelScale|, placed tiles, images and tile objects stay on whole pixels.
+   */
+  setCameraPosition: (x: number, y: number) => void;
+  getCameraPosition: () => ScreenPoint;
+  // Map scoped queries use the map at the center of the view (positions are relative to the map)
+  /** Objects from the map's object layers, optionally filtered by class */
+  getObjects: (className?: string) => LevelObject[];
+  /** Custom properties of the map */
+  getMapProperties: () => Properties;
+  /** Custom properties of the layer with the given name, or path of group names (eg. `gameplay/solids`) */
+  getLayerProperties: (nameOrPath: string) => Properties | undefined;
+  /** Custom properties of the tile with the given GID (flip flags are ignored) */
+  getTileProperties: (gid: number) => Properties | undefined;
+  // Tile coordinates are global, they continue across the maps of a world
+  /** Top left of the tile cell's bounding box, in world pixels */
+  tileToScreen: (col: number, row: number) => ScreenPoint;
+  /** The tile containing the given point in world pixels */
+  screenToTile: (x: number, y: number) => TilePoint;
+  /** Tiles sharing an edge with the given tile (6 on hexagonal maps, otherwise 4) */
+  getNeighbours: (col: number, row: number) => TilePoint[];
+  /** Raw GID (including flip flags) of the tile at the cell of a tile layer (name or path), 0 if empty or unloaded */
+  getTile: (layer: string, col: number, row: number) => number;
+  /** Replaces the tile, creating its sprite (animated and with its behaviour), a GID of 0 clears it */
+  setTile: (layer: string, col: number, row: number, gid: number) => void;
+  clearTile: (layer: string, col: number, row: number) => void;
+  /** Called after every tile change (eg. to update collision), returns a function to unsubscribe */
+  onTileChange: (listener: TileChangeListener) => () => void;
+  /** Resizes the renderer for a new |AnimProps.pixelScale|, keeping the app and level */
+  setPixelScale: (pixelScale: number) => void;
+  getPixelScale: () => number;
+  /** Pauses the game: animated tiles hold their frame and entities stop (the camera can still move) */
+  setPaused: (paused: boolean) => void;
+  isPaused: () => boolean;
+  /** What's being drawn and how long frames take, for profiling */
+  getRenderStats: () => RenderStats;
 } | null;
 
+export type RenderStats = {
+  /** Visible sprites in the scene, each tile sprite and baked chunk counts as one */
+  sprites: number;
+  /** Baked tile chunks in view */
+  chunks: number;
+  /** Tile sprites, animated or with a behaviour */
+  liveTiles: number;
+  /** Tiles drawn by chunks */
+  chunkedTiles: number;
+  /** Average time of the recent frames' updates (streaming, parallax and chunk baking), in ms */
+  updateTime: number;
+  /** Average time of the recent frames' renders, in ms */
+  renderTime: number;
+};
+
 export type AnimProps = {
   tileDims: { width: number; height: number };
   tileSize: number;
+  /** Spawns objects by class, merged over |defaultEntityFactories| */
+  entityFactories?: Record<string, EntityFactory>;
+  /** Sidecar tile render config keyed by texture name, Tiled tile properties take precedence */
+  tileRenders?: Record<string, TileRenderConfig>;
+  /** Tile behaviours by name, merged over |defaultTileBehaviours| */
+  tileBehaviours?: Record<string, TileBehaviour>;
+  /** Id of the level to start on, defaults to the first in the manifest */
+  startLevel?: string;
+  /** Bake static tiles of orthogonal maps into chunks, drawing only those in view (default true) */
+  chunkTiles?: boolean;
+  /** Tiles each map's tile layers, for stress testing large levels (single map levels only) */
+  repeatMaps?: { x: number; y: number };
+  /**
+   * Renderer pixels per scene pixel (a whole number, default 1), see |Anim.setPixelScale|.
+   * Eg. A value of 2 renders twice as many pixels in each dimension, so each scene pixel is drawn as 2x2.
+   * - The camera and moving entities can sit at half pixels while still being drawn on whole renderer pixels,
+   *   tiles stay on whole scene pixels.
+   * - Doesn't affect scene units, though limits the canvas scales available (they must be multiples).
+   */
+  pixelScale?: number;
 };
 
-const PIXEL_SCALE = 1;
-// Supports smoother movement, by rendering more pixels and as a result upscaling pixel textures:
-// Eg. A value of 2.0 will render twice as many pixels (in each dimension).
-// A single pixel will be drawn as 2x2.
-// - This allows objects to sit at a half pixel position while still being rendered as whole pixels.
-// - Will not affect scene units though will limit the options to scale the canvas.
+// Used for maps without a background color
+const DEFAULT_BACKGROUND = '#000000';
+const BACKGROUND_TRANSITION_DURATION = 0.8; // Seconds
+const FRAME_TIME_SAMPLES = 60; // Frames averaged by |getRenderStats|
+
+function checkPixelScale(pixelScale: number) {
+  if (!Number.isInteger(pixelScale) || pixelScale < 1) {
+    throw Error(
+      `Pixel scale must be a whole number of 1 or more ${pixelScale}`,
+    );
+  }
+  return pixelScale;
+}
 
 Assets.init({
   basePath: import.meta.env.BASE_URL,
 });
 // TexturePool.textureOptions.scaleMode = 'nearest';
 
-export function createAnim({ tileDims, tileSize }: AnimProps): Anim {
+export function createAnim({
+  tileDims,
+  tileSize,
+  entityFactories,
+  tileRenders = {},
+  tileBehaviours,
+  startLevel,
+  chunkTiles = true,
+  repeatMaps,
+  pixelScale: initialPixelScale = 1,
+}: AnimProps): Anim {
   if (!window) {
     return null;
   }
 
+  const factories: Record<string, EntityFactory> = {
+    ...defaultEntityFactories,
+    ...entityFactories,
+  };
+
+  const behaviours: Record<string, TileBehaviour> = {
+    ...defaultTileBehaviours,
+    ...tileBehaviours,
+  };
+
   const stageDims = {
     width: tileDims.width * tileSize,
     height: tileDims.height * tileSize,
   };
 
   const app = new Application();
+  let appReady = false; // Once the renderer is created
+  let pixelScale = checkPixelScale(initialPixelScale);
   let resizeObserver: ResizeObserver | undefined;
 
   const containers: Record<string, Container> = {};
@@ -68,11 +227,26 @@ export function createAnim({ tileDims, tileSize }: AnimProps): Anim {
   // Create reference to shared ticker
   const ticker = Ticker.shared;
   let sheet: Spritesheet;
-  let tilemap: TileMap;
+  let manifest: LevelManifest;
+  let world: World | undefined; // The loaded level's maps, a single map for most levels
+  let projection: MapProjection | undefined; // Tile coordinates across the level
+  let levelEntry: LevelEntry | undefined;
+  let levelLoadCount = 0; // Stale loads are discarded
+  const tilemaps: Record<string, Promise<TileMap>> = {}; // Keyed by map path, includes preloads
+  const tilemapAssets: Record<string, string[]> = {}; // Images loaded for each cached map
+  const mapUseCounts: Record<string, number> = {}; // Levels built from, or loads waiting on, each map
+  let nextStartMap: string | undefined; // Kept cached for the next level
+  const worlds: Record<string, Promise<WorldMap[]>> = {};
+  const tileChangeListeners: TileChangeListener[] = [];
+  const clock = createAnimationClock(); // Shared by the world's maps, so they animate in step
+  let notifyLevelChange: InitProps['onLevelChange'];
+  let letterbox: HTMLElement | undefined; // Around the canvas
+
+  async function init({ parent, onLoaded, onLevelChange }: InitProps) {
+    notifyLevelChange = onLevelChange;
 
-  async function init({ parent, onLoaded }: InitProps) {
     await app.init({
-      background: Math.floor(Math.random() * 256 * 256 * 256),
+      background: parseTiledColor(DEFAULT_BACKGROUND).color,
       // resizeTo: window,
       autoDensity: false,
       backgroundAlpha: 1.0,
@@ -84,12 +258,17 @@ export function createAnim({ tileDims, tileSize }: AnimProps): Anim {
       // resizeTo: parent, // document.getElementById('sizer'), // parent, //parent.parentNode,
       // preference: 'webgl', //  'webgl' | 'webgpu'
       roundPixels: true, // If true PixiJS will Math.floor() x/y values when rendering, stopping pixel interpolation. Advantages can include sharper image quality (like text) and faster rendering on canvas. The main disadvantage is movement of objects may appear less smooth.
-      width: stageDims.width * PIXEL_SCALE, // Number of pixels being drawn
-      height: stageDims.height * PIXEL_SCALE, // Number of pixels being drawn
+      width: stageDims.width * pixelScale, // Number of pixels being drawn
+      height: stageDims.height * pixelScale, // Number of pixels being drawn
     });
+    appReady = true;
+
+    app.renderer.runners.prerender.add(viewAligner);
+    app.renderer.runners.prerender.add(renderTimer);
+    app.renderer.runners.postrender.add(renderTimer);
 
     app.canvas.style.imageRendering = 'pixelated';
-    app.stage.scale.set(PIXEL_SCALE, PIXEL_SCALE);
+    app.stage.scale.set(pixelScale, pixelScale);
 
     // Load all assets
 
@@ -97,12 +276,13 @@ export function createAnim({ tileDims, tileSize }: AnimProps): Anim {
     sheet.textureSource.scaleMode = 'nearest';
 
     //sprite.texture.source
-    const response = await fetch(`maps/level1.json`);
-    tilemap = await response.json();
+    manifest = await loadLevelManifest('maps/levels.json');
+    await preloadLevel(getStartLevelEntry());
 
     // await delay(3000);
 
     parent.appendChild(app.canvas); // Attach (after loading)
+    letterbox = parent;
 
     // Observe stage dims
 
@@ -129,7 +309,10 @@ export function createAnim({ tileDims, tileSize }: AnimProps): Anim {
     containers.camera = new Container();
     app.stage.addChild(containers.camera);
 
-    loadLevel();
+    const startEntry = getStartLevelEntry();
+    loadLevel(startEntry.id).catch((err) =>
+      console.warn(`Failed to load level ${startEntry.id}`, err),
+    );
 
     ticker.add(onTick);
     onTick();
@@ -138,7 +321,9 @@ export function createAnim({ tileDims, tileSize }: AnimProps): Anim {
   let startCalled = false;
   // Shouldn't have to check if items exist
   let stageScale = 1.0;
+  let parentSize: { width: number; height: number } | undefined; // Refits when the pixel scale changes
   function onStageResize(width: number, height: number) {
+    parentSize = { width, height };
     const scale = containScale(
       stageDims.width,
       stageDims.height,
@@ -147,10 +332,10 @@ export function createAnim({ tileDims, tileSize }: AnimProps): Anim {
     );
     stageScale = Math.max(1.0, Math.floor(scale));
 
-    // The scale should be wholly divisible by PIXEL_SCALE or render will not occupy whole pixels.
-    // In this way PIXEL_SCALE limits the potential scale sizes available.
-    stageScale -= stageScale % PIXEL_SCALE;
-    stageScale = Math.max(stageScale, PIXEL_SCALE);
+    // The scale should be wholly divisible by |pixelScale| or render will not occupy whole pixels.
+    // In this way |pixelScale| limits the potential scale sizes available.
+    stageScale -= stageScale % pixelScale;
+    stageScale = Math.max(stageScale, pixelScale);
 
     // Update canvas CSS
     // was
@@ -167,141 +352,471 @@ export function createAnim({ tileDims, tileSize }: AnimProps): Anim {
 
   let elapsedTime = 0.0;
   function onTick() {
+    const updateStart = performance.now();
     elapsedTime += ticker.elapsedMS * 0.001;
     console.log(elapsedTime);
+
+    clock.update(ticker.deltaMS);
+    updateWorld();
+    updateLevelViews();
+    updateTimes.push(performance.now() - updateStart);
   }
 
-  // Load level
-  // ----------
+  // Levels
+  // ------
 
-  async function loadLevel() {
-    const mapIdToTxLookup: Record<
-      string,
-      { tx: string; tileW: number; tileH: number; animBase: string | null }
-    > = {};
-    for (let j = 0; j < tilemap.tilesets.length; j++) {
-      const tileset = tilemap.tilesets[j];
-      const firstGID = tileset.firstgid;
-
-      if (tileset.tiles) {
-        for (let i = 0; i < tileset.tiles.length; i++) {
-          const tile = tileset.tiles[i];
-          const id = firstGID + tile.id;
-          const path = tile.image;
-
-          const pathParts = path.split('/');
-          const filename = pathParts[pathParts.length - 1];
-          const filenameParts = filename.split('.');
-          filenameParts.splice(filenameParts.length - 1, 1);
-          const tx =
-            pathParts[pathParts.length - 2] + '/' + filenameParts.join('.');
-
-          const tileW = tile.imagewidth / tileSize;
-          const tileH = tile.imageheight / tileSize;
-
-          let animBase = null;
-          if (tx.endsWith('_0')) {
-            const baseParts = tx.split('_');
-            baseParts.splice(baseParts.length - 1, 1);
-            animBase = baseParts.join('_');
-          }
+  function getStartLevelEntry() {
+    return startLevel
+      ? getLevelEntry(manifest, startLevel)
+      : manifest.levels[0];
+  }
 
-          mapIdToTxLookup[`tx_${id}`] = {
-            tx: tx,
-            tileW: tileW,
-            tileH: tileH,
-            animBase: animBase,
-          };
-        }
-      }
+  // Fetches the map and its images, shared with any later load of the map until it's evicted
+  function preloadMap(mapPath: string) {
+    if (!tilemaps[mapPath]) {
+      tilemaps[mapPath] = loadTileMap(mapPath) // .tmx or .json
+        .then(async (tilemap) => {
+          const images = await getTileMapAssets(tilemap, mapPath);
+          tilemapAssets[mapPath] = images; // Before loading, so eviction of other maps keeps them
+          await Assets.load(images);
+          return repeatMaps
+            ? repeatTileMap(tilemap, repeatMaps.x, repeatMaps.y)
+            : tilemap;
+        })
+        .catch((err) => {
+          delete tilemaps[mapPath]; // Allow retrying
+          delete tilemapAssets[mapPath];
+          throw err;
+        });
     }
+    return tilemaps[mapPath];
+  }
 
-    for (let j = 0; j < tilemap.layers.length; j++) {
-      const layer = tilemap.layers[j];
-      if (layer.width && layer.height) {
-        for (let r = 0; r < layer.height; r++) {
-          for (let c = 0; c < layer.width; c++) {
-            let _c = c + layer.x;
-            let _r = r + layer.y;
-            const id = layer.data ? layer.data[r * layer.width + c] : 0;
-            if (id > 0) {
-              const tileInfo = mapIdToTxLookup[`tx_${id}`];
-              if (!tileInfo) {
-                throw Error(`Tile not found ${id}`);
-              }
-
-              // Consider the dimensions of the sprite tile - ie. some aren't 1x1
-              _c -= tileInfo.tileW - 1; // |!| Need to check this
-              _r -= tileInfo.tileH - 1;
-
-              if (tileInfo.animBase && sheet.animations[tileInfo.animBase]) {
-                const animSprite = new AnimatedSprite(
-                  sheet.animations[tileInfo.animBase],
-                );
-                animSprite.animationSpeed = 0.1;
-                animSprite.play();
-
-                if (tileInfo.animBase.includes('player')) {
-                  animSprite.anchor.set(0.5, 1.0);
-
-                  animSprite.x = _c * tileSize + 0.5 * 20.0;
-                  animSprite.y = _r * tileSize + 2.0 * 20.0;
-
-                  animSprite.scale.x = -1.0;
-                  let prevProgress = 0.0;
-                  const tw = gsap.to(animSprite, 2.0, {
-                    x: `+=${tileSize * 4.0}`,
-                    ease: 'Power2.easeInOut',
-                    repeat: -1,
-                    yoyo: true,
-                    delay: 2.0,
-                    onUpdate: () => {
-                      const progress = tw.progress();
-                      animSprite.scale.x = progress > prevProgress ? -1.0 : 1.0;
-                      prevProgress = progress;
-                    },
-                  });
-                } else {
-                  animSprite.anchor.set(0.0, 0.0);
-                  animSprite.x = _c * tileSize;
-                  animSprite.y = _r * tileSize;
-                }
-
-                containers.camera.addChild(animSprite);
-              } else {
-                const sprite = new Sprite(sheet.textures[tileInfo.tx]);
-
-                if (tileInfo.tx.includes('diamond')) {
-                  sprite.scale.set(2.0, 2.0);
-                  _c -= 0.5;
-                  _r -= 1.0;
-                }
-
-                sprite.anchor.set(0.0, 0.0);
-
-                sprite.x = _c * tileSize;
-                sprite.y = _r * tileSize;
-
-                containers.camera.addChild(sprite);
-              }
-            }
-          }
-        }
+  // Drops the map and the images no other cached map uses, unless a level is built from it
+  // or it starts the next level
+  function evictMap(mapPath: string) {
+    if (mapUseCounts[mapPath] || mapPath === nextStartMap) {
+      return;
+    }
+    const images = tilemapAssets[mapPath] ?? [];
+    delete tilemaps[mapPath];
+    delete tilemapAssets[mapPath];
+    const kept = new Set(Object.values(tilemapAssets).flat());
+    const unused = images.filter((image) => !kept.has(image));
+    if (unused.length > 0) {
+      Assets.unload(unused).catch((err) =>
+        console.warn(`Failed to unload the images of ${mapPath}`, err),
+      );
+    }
+  }
+
+  function setNextStartMap(mapPath: string | undefined) {
+    const previous = nextStartMap;
+    nextStartMap = mapPath;
+    if (previous && previous !== mapPath) {
+      evictMap(previous);
+    }
+  }
+
+  // Keeps the map cached until the returned function releases it, the last release evicts it
+  function holdMap(mapPath: string) {
+    mapUseCounts[mapPath] = (mapUseCounts[mapPath] ?? 0) + 1;
+    return () => {
+      mapUseCounts[mapPath]--;
+      if (mapUseCounts[mapPath] === 0) {
+        delete mapUseCounts[mapPath];
+        evictMap(mapPath);
       }
+    };
+  }
+
+  // Resolves the level's maps, a single map sits at the origin
+  async function getLevelMaps(entry: LevelEntry): Promise<WorldMap[]> {
+    if (!isWorldPath(entry.map)) {
+      return [{ map: entry.map, x: 0, y: 0, width: 0, height: 0 }];
     }
+    if (!worlds[entry.map]) {
+      worlds[entry.map] = loadTileWorld(entry.map).catch((err) => {
+        delete worlds[entry.map]; // Allow retrying
+        throw err;
+      });
+    }
+    return worlds[entry.map];
+  }
+
+  // Resolves the level's maps, preloading the first
+  async function preloadLevel(entry: LevelEntry): Promise<WorldMap[]> {
+    const maps = await getLevelMaps(entry);
+    await preloadMap(maps[0].map);
+    return maps;
+  }
+
+  // The map stays cached while the level is built from it, and is evicted once no level is
+  // (eg. when a world map streams out)
+  async function createMapLevel(map: WorldMap): Promise<Level> {
+    const release = holdMap(map.map);
+
+    let level: Level;
+    try {
+      level = await createLevel({
+        mapPath: map.map,
+        tilemap: await preloadMap(map.map),
+        sheet,
+        tileSize,
+        factories,
+        behaviours,
+        tileRenders,
+        parent: containers.camera,
+        renderer: app.renderer,
+        clock,
+        chunkTiles,
+        offset: { x: map.x, y: map.y },
+      });
+    } catch (err) {
+      release();
+      throw err;
+    }
+    level.setPaused(clock.isPaused()); // Streamed in maps match the rest
+    level.updateView(getView()); // Before it's first drawn
+    return {
+      ...level,
+      destroy: () => {
+        level.destroy();
+        release();
+      },
+    };
+  }
+
+  // The view in world pixels, maps near it are loaded
+  function getView() {
+    return {
+      x: -containers.camera.x,
+      y: -containers.camera.y,
+      width: stageDims.width,
+      height: stageDims.height,
+    };
+  }
+
+  // Worlds start on their first map
+  async function loadLevel(id: string) {
+    const entry = getLevelEntry(manifest, id);
+    unloadLevel();
+    const loadCount = ++levelLoadCount;
+
+    const maps = await getLevelMaps(entry);
+    const startMap = maps[0];
+    // Held from before it's awaited, so a superseded load evicts the map (and its images)
+    // unless a level or a later load holds it too
+    const releaseStart = holdMap(startMap.map);
+    let startTilemap: TileMap;
+    try {
+      startTilemap = await preloadMap(startMap.map);
+    } catch (err) {
+      releaseStart();
+      throw err;
+    }
+    if (loadCount !== levelLoadCount) {
+      releaseStart();
+      return; // Superseded
+    }
+    const loaded = createWorld({
+      maps,
+      stream: isWorldPath(entry.map),
+      loadMargin: Math.max(stageDims.width, stageDims.height) * 0.5,
+      createMapLevel,
+    });
+    try {
+      await loaded.update({ ...startMap, ...stageDims });
+    } catch (err) {
+      releaseStart();
+      loaded.destroy();
+      throw err;
+    }
+    releaseStart(); // Now held by the world's levels
+    if (loadCount !== levelLoadCount) {
+      loaded.destroy(); // Evicting the maps it loaded
+      return;
+    }
+    world = loaded;
+    levelEntry = entry;
+    // World maps share an orthogonal grid, positioned by their offsets
+    projection = world.stream
+      ? createMapProjection({ ...startTilemap, width: 0, height: 0 })
+      : world.getLevel(startMap)!.projection;
+    world.onTileChange((change) => {
+      const map = world?.maps.find((map) => map.map === change.map);
+      const origin = map ? getMapOrigin(map) : { col: 0, row: 0 };
+      const globalChange = {
+        ...change,
+        col: change.col + origin.col,
+        row: change.row + origin.row,
+      };
+      for (const listener of [...tileChangeListeners]) {
+        listener(globalChange);
+      }
+    });
+
+    const start = world.stream
+      ? startMap
+      : world.getLevel(startMap)!.worldBounds;
+
+    containers.camera.x = -start.x;
 
     gsap.fromTo(
       containers.camera,
       2.0,
-      { y: tileDims.height * tileSize },
-      { y: 0.0, ease: 'Elastic.easeOut' },
+      { y: -start.y + tileDims.height * tileSize },
+      { y: -start.y, ease: 'Elastic.easeOut' },
     ); // Pan in camera
+
+    // Later levels transition from the previous level's colors
+    const background =
+      entry.background ?? startTilemap.backgroundcolor ?? DEFAULT_BACKGROUND;
+    setBackdrop(
+      {
+        background: parseTiledColor(background),
+        letterbox: parseTiledColor(entry.letterbox ?? background),
+      },
+      backdropShown,
+    );
+    backdropShown = true;
+
+    notifyLevelChange?.(entry);
+
+    // Ready the next level in the background, other maps are evicted as their levels unload
+    const next = getNextLevelEntry(manifest, entry);
+    setNextStartMap(undefined);
+    if (next) {
+      preloadLevel(next)
+        .then((maps) => {
+          if (loadCount === levelLoadCount) {
+            setNextStartMap(maps[0].map);
+          }
+        })
+        .catch((err) =>
+          console.warn(`Failed to preload level ${next.id}`, err),
+        );
+    }
+  }
+
+  async function loadNextLevel() {
+    const next = levelEntry && getNextLevelEntry(manifest, levelEntry);
+    if (!next) {
+      return false;
+    }
+    await loadLevel(next.id);
+    return true;
+  }
+
+  // Also cancels any level being loaded
+  function unloadLevel() {
+    levelLoadCount++;
+    if (containers.camera) {
+      gsap.killTweensOf(containers.camera);
+    }
+    if (!world) {
+      return;
+    }
+    world.destroy();
+    world = undefined;
+    projection = undefined;
+    levelEntry = undefined;
+    notifyLevelChange?.(undefined);
+  }
+
+  // Scrolls parallax layers and draws the tile chunks in view
+  function updateLevelViews() {
+    if (!world) {
+      return;
+    }
+    const view = getView();
+    for (const level of world.getLoadedLevels()) {
+      level.updateView(view);
+    }
+  }
+
+  // The camera may have been tweened since the tick, so tile layers are realigned to it before rendering
+  function alignLevelViews() {
+    if (!world) {
+      return;
+    }
+    const view = getView();
+    for (const level of world.getLoadedLevels()) {
+      level.alignToView(view);
+    }
+  }
+
+  // Streams world maps in and out as the camera moves
+  function updateWorld() {
+    if (world?.stream) {
+      world.update(getView()).catch(() => {}); // Failures are logged by the world
+    }
+  }
+
+  function setCameraPosition(x: number, y: number) {
+    gsap.killTweensOf(containers.camera);
+    containers.camera.position.set(-x, -y);
+    updateWorld();
+    updateLevelViews();
+  }
+
+  function getCameraPosition() {
+    return { x: -containers.camera.x, y: -containers.camera.y };
+  }
+
+  // The renderer is resized in place, a pixel scale set before init is used by init
+  function setPixelScale(value: number) {
+    if (checkPixelScale(value) === pixelScale) {
+      return;
+    }
+    pixelScale = value;
+    if (!appReady) {
+      return;
+    }
+    app.renderer.resize(
+      stageDims.width * pixelScale,
+      stageDims.height * pixelScale,
+    );
+    app.stage.scale.set(pixelScale, pixelScale);
+    if (parentSize) {
+      onStageResize(parentSize.width, parentSize.height);
+    }
+  }
+
+  // Kept across level changes
+  function setPaused(paused: boolean) {
+    clock.setPaused(paused);
+    for (const level of world?.getLoadedLevels() ?? []) {
+      level.setPaused(paused);
+    }
+  }
+
+  // Background
+  // ----------
+  // The renderer clears to the level's background color and the letterbox around the canvas matches it.
+
+  type Backdrop = Record<
+    'background' | 'letterbox',
+    { color: number; alpha: number }
+  >;
+  let backdrop: Backdrop = {
+    background: parseTiledColor(DEFAULT_BACKGROUND),
+    letterbox: parseTiledColor(DEFAULT_BACKGROUND),
+  };
+  let backdropShown = false;
+  const backdropTransition = { progress: 0.0 };
+
+  function applyBackdrop(value: Backdrop) {
+    backdrop = value;
+    app.renderer.background.color = value.background.color;
+    app.renderer.background.alpha = value.background.alpha;
+    if (letterbox) {
+      letterbox.style.backgroundColor = toCssColor(
+        value.letterbox.color,
+        value.letterbox.alpha,
+      );
+    }
+  }
+
+  function setBackdrop(target: Backdrop, animate: boolean) {
+    gsap.killTweensOf(backdropTransition);
+    if (!animate) {
+      applyBackdrop(target);
+      return;
+    }
+    const from = backdrop;
+    const mix = (key: keyof Backdrop, t: number) => ({
+      color: mixColors(from[key].color, target[key].color, t),
+      alpha: from[key].alpha + (target[key].alpha - from[key].alpha) * t,
+    });
+    backdropTransition.progress = 0.0;
+    gsap.to(backdropTransition, BACKGROUND_TRANSITION_DURATION, {
+      progress: 1.0,
+      ease: 'Power1.easeInOut',
+      onUpdate: () => {
+        const t = backdropTransition.progress;
+        applyBackdrop({
+          background: mix('background', t),
+          letterbox: mix('letterbox', t),
+        });
+      },
+    });
+  }
+
+  // Profiling
+  // ---------
+
+  const updateTimes: number[] = [];
+  const renderTimes: number[] = [];
+  let renderStart = 0.0;
+  // Added to the renderer's runners, which call them by name
+  const viewAligner = { prerender: alignLevelViews };
+  const renderTimer = {
+    prerender: () => {
+      renderStart = performance.now();
+    },
+    postrender: () => {
+      renderTimes.push(performance.now() - renderStart);
+    },
+  };
+
+  function average(times: number[]) {
+    times.splice(0, Math.max(0, times.length - FRAME_TIME_SAMPLES));
+    return times.length
+      ? times.reduce((sum, time) => sum + time, 0) / times.length
+      : 0;
+  }
+
+  function countSprites(container: Container): number {
+    if (!container.visible) {
+      return 0;
+    }
+    let count = container instanceof Sprite ? 1 : 0;
+    for (const child of container.children) {
+      count += countSprites(child);
+    }
+    return count;
+  }
+
+  function getRenderStats(): RenderStats {
+    const stats: RenderStats = {
+      sprites: countSprites(app.stage),
+      chunks: 0,
+      liveTiles: 0,
+      chunkedTiles: 0,
+      updateTime: average(updateTimes),
+      renderTime: average(renderTimes),
+    };
+    for (const level of world?.getLoadedLevels() ?? []) {
+      const levelStats = level.getStats();
+      stats.chunks += levelStats.visible;
+      stats.liveTiles += levelStats.liveTiles;
+      stats.chunkedTiles += levelStats.chunkedTiles;
+    }
+    return stats;
   }
 
   function destroy() {
     ticker.remove(onTick);
+    if (appReady) {
+      appReady = false;
+      app.renderer.runners.prerender.remove(viewAligner);
+      app.renderer.runners.prerender.remove(renderTimer);
+      app.renderer.runners.postrender.remove(renderTimer);
+    }
     resizeObserver?.disconnect(); // Unobserves all observed Element or SVGElement targets.
 
+    gsap.killTweensOf(backdropTransition);
+    if (letterbox) {
+      letterbox.style.backgroundColor = ''; // Back to the element's own style
+      letterbox = undefined;
+    }
+
+    notifyLevelChange = undefined;
+    unloadLevel();
+    tileChangeListeners.length = 0;
+    clock.destroy();
+
     for (const spriteName in sprites) {
       sprites[spriteName].filters = [];
       gsap.killTweensOf(sprites[spriteName]);
@@ -336,8 +851,156 @@ export function createAnim({ tileDims, tileSize }: AnimProps): Anim {
     ); // https://pixijs.download/dev/docs/PIXI.PIXI.Application.html#destroy
   }
 
+  function getLevels() {
+    return manifest ? [...manifest.levels] : [];
+  }
+
+  function getCurrentLevel() {
+    return levelEntry;
+  }
+
+  function getProjection() {
+    if (!projection) {
+      throw Error('Level not loaded');
+    }
+    return projection;
+  }
+
+  // Top left tile of the map, in world tiles
+  function getMapOrigin(map: WorldMap) {
+    const { tileWidth, tileHeight } = getProjection();
+    return {
+      col: Math.round(map.x / tileWidth),
+      row: Math.round(map.y / tileHeight),
+    };
+  }
+
+  // The loaded map under the center of the view, for map scoped queries
+  function getCurrentMapLevel() {
+    if (!world) {
+      return undefined;
+    }
+    const view = getView();
+    const map = world.getMapAt(
+      view.x + view.width * 0.5,
+      view.y + view.height * 0.5,
+    );
+    return map && world.getLevel(map);
+  }
+
+  // The loaded map containing the world tile, and the tile within it
+  function getMapTile(col: number, row: number) {
+    if (!world) {
+      throw Error('Level not loaded');
+    }
+    const { tileToScreen, tileWidth, tileHeight } = getProjection();
+    const point = tileToScreen(col, row);
+    const map = world.getMapAt(
+      point.x + tileWidth * 0.5,
+      point.y + tileHeight * 0.5,
+    );
+    const level = map && world.getLevel(map);
+    if (!map || !level) {
+      return undefined;
+    }
+    const origin = getMapOrigin(map);
+    return { level, col: col - origin.col, row: row - origin.row };
+  }
+
+  function getMaps() {
+    return (world?.maps ?? []).map((map) => ({
+      ...map,
+      loaded: !!world?.getLevel(map),
+    }));
+  }
+
+  function getLevelBounds() {
+    return world?.getBounds();
+  }
+
+  function getObjects(className?: string) {
+    return getCurrentMapLevel()?.getObjects(className) ?? [];
+  }
+
+  function getMapProperties() {
+    return getCurrentMapLevel()?.getMapProperties() ?? createProperties();
+  }
+
+  function getLayerProperties(nameOrPath: string) {
+    return getCurrentMapLevel()?.getLayerProperties(nameOrPath);
+  }
+
+  function getTileProperties(gid: number) {
+    return getCurrentMapLevel()?.getTileProperties(gid);
+  }
+
+  function tileToScreen(col: number, row: number) {
+    return getProjection().tileToScreen(col, row);
+  }
+
+  function screenToTile(x: number, y: number) {
+    return getProjection().screenToTile(x, y);
+  }
+
+  function getNeighbours(col: number, row: number) {
+    return getProjection().getNeighbours(col, row);
+  }
+
+  function getTile(layer: string, col: number, row: number) {
+    const mapTile = getMapTile(col, row);
+    return mapTile ? mapTile.level.getTile(layer, mapTile.col, mapTile.row) : 0;
+  }
+
+  function setTile(layer: string, col: number, row: number, gid: number) {
+    const mapTile = getMapTile(col, row);
+    if (!mapTile) {
+      throw Error(`No map loaded at tile ${col}, ${row}`);
+    }
+    mapTile.level.setTile(layer, mapTile.col, mapTile.row, gid);
+  }
+
+  function clearTile(layer: string, col: number, row: number) {
+    setTile(layer, col, row, 0);
+  }
+
+  // Kept across level changes
+  function onTileChange(listener: TileChangeListener) {
+    tileChangeListeners.push(listener);
+    return () => {
+      const index = tileChangeListeners.indexOf(listener);
+      if (index >= 0) {
+        tileChangeListeners.splice(index, 1);
+      }
+    };
+  }
+
   return {
     init,
     destroy,
+    getLevels,
+    getCurrentLevel,
+    loadLevel,
+    loadNextLevel,
+    unloadLevel,
+    getMaps,
+    getLevelBounds,
+    setCameraPosition,
+    getCameraPosition,
+    setPixelScale,
+    getPixelScale: () => pixelScale,
+    setPaused,
+    isPaused: clock.isPaused,
+    getObjects,
+    getMapProperties,
+    getLayerProperties,
+    getTileProperties,
+    tileToScreen,
+    screenToTile,
+    getNeighbours,
+    getTile,
+    setTile,
+    clearTile,
+    onTileChange,
+    getRenderStats,
   };
 }
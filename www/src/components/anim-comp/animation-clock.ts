@@ -0,0 +1,148 @@
+import type { Sprite, Texture } from 'pixi.js';
+
+// Animation clock
+// ---------------
+// Steps animated tiles from one shared time, so every tile of an animation shows the same frame
+// (eg. coins and water stay in step, also across the maps of a world).
+// - Tiles with the same animation and phase are stepped together, textures only change on a new frame.
+// - Paused clocks hold their time, tiles resume from the frame they stopped on.
+
+export type ClockAnimation = {
+  /** Durations in ms */
+  frames: { texture: Texture; duration: number }[];
+  /** Of all the frames, in ms */
+  duration: number;
+};
+
+export type AnimationClock = {
+  /** Unpaused time elapsed, in ms */
+  getTime: () => number;
+  /** Advances the clock unless paused, stepping the tiles onto their current frames */
+  update: (deltaMS: number) => void;
+  setPaused: (paused: boolean) => void;
+  isPaused: () => boolean;
+  /**
+   * Animates the sprite, showing its current frame straight away.
+   * @param {Sprite} sprite - Its texture is replaced on each frame.
+   * @param {ClockAnimation} animation - Sprites sharing the same object are stepped together.
+   * @param {number} [phase] - Offset in ms, later phases run ahead.
+   */
+  add: (sprite: Sprite, animation: ClockAnimation, phase?: number) => void;
+  remove: (sprite: Sprite) => void;
+  destroy: () => void;
+};
+
+type FrameGroup = {
+  animation: ClockAnimation;
+  phase: number;
+  sprites: Set<Sprite>;
+  frame: number;
+};
+
+export function createClockAnimation(
+  frames: ClockAnimation['frames'],
+): ClockAnimation {
+  return {
+    frames,
+    duration: frames.reduce((sum, frame) => sum + frame.duration, 0),
+  };
+}
+
+// Index of the frame showing at |time|
+function getFrameIndex(animation: ClockAnimation, time: number) {
+  if (animation.duration <= 0) {
+    return 0;
+  }
+  let t =
+    ((time % animation.duration) + animation.duration) % animation.duration;
+  for (let i = 0; i < animation.frames.length; i++) {
+    t -= animation.frames[i].duration;
+    if (t < 0) {
+      return i;
+    }
+  }
+  return animation.frames.length - 1;
+}
+
+export function createAnimationClock(): AnimationClock {
+  let time = 0.0;
+  let paused = false;
+  // By animation then phase
+  const groups = new Map<ClockAnimation, Map<number, FrameGroup>>();
+  const spriteGroups = new Map<Sprite, FrameGroup>();
+
+  function stepGroup(group: FrameGroup, force: boolean) {
+    const frame = getFrameIndex(group.animation, time + group.phase);
+    if (frame === group.frame && !force) {
+      return;
+    }
+    group.frame = frame;
+    const { texture } = group.animation.frames[frame];
+    for (const sprite of group.sprites) {
+      sprite.texture = texture;
+    }
+  }
+
+  function update(deltaMS: number) {
+    if (paused) {
+      return;
+    }
+    time += deltaMS;
+    for (const phases of groups.values()) {
+      for (const group of phases.values()) {
+        stepGroup(group, false);
+      }
+    }
+  }
+
+  function add(sprite: Sprite, animation: ClockAnimation, phase = 0) {
+    remove(sprite);
+    let phases = groups.get(animation);
+    if (!phases) {
+      phases = new Map();
+      groups.set(animation, phases);
+    }
+    let group = phases.get(phase);
+    if (!group) {
+      group = { animation, phase, sprites: new Set(), frame: -1 };
+      phases.set(phase, group);
+      stepGroup(group, true);
+    }
+    group.sprites.add(sprite);
+    spriteGroups.set(sprite, group);
+    sprite.texture = animation.frames[group.frame].texture;
+  }
+
+  function remove(sprite: Sprite) {
+    const group = spriteGroups.get(sprite);
+    if (!group) {
+      return;
+    }
+    spriteGroups.delete(sprite);
+    group.sprites.delete(sprite);
+    if (group.sprites.size === 0) {
+      const phases = groups.get(group.animation)!;
+      phases.delete(group.phase);
+      if (phases.size === 0) {
+        groups.delete(group.animation);
+      }
+    }
+  }
+
+  function destroy() {
+    groups.clear();
+    spriteGroups.clear();
+  }
+
+  return {
+    getTime: () => time,
+    update,
+    setPaused: (value) => {
+      paused = value;
+    },
+    isPaused: () => paused,
+    add,
+    remove,
+    destroy,
+  };
+}
@@ -0,0 +1,128 @@
+import type { Anim, RenderStats } from '@/components/anim-comp/anim';
+
+// Render benchmark
+// ----------------
+// Sweeps the camera across the loaded level, sampling |Anim.getRenderStats|, so tile rendering
+// can be compared on the same level with and without chunks (see the benchmark mode in |App|).
+// Results are kept across runs and logged together, one row per run, then as Markdown rows for the
+// README's benchmark table (naming the browser, the machine has to be added by hand).
+
+export type BenchmarkResult = {
+  label: string;
+  /** Most sprites drawn in a frame */
+  sprites: number;
+  /** Most chunks drawn in a frame */
+  chunks: number;
+  liveTiles: number;
+  chunkedTiles: number;
+  /** Averages over the run, in ms */
+  updateTime: number;
+  renderTime: number;
+  /** Time between frames, limited by the display's refresh rate */
+  frameInterval: number;
+  frames: number;
+};
+
+const STATS_INTERVAL = 30; // Frames between stat samples, walking the scene isn't free
+
+const results: BenchmarkResult[] = [];
+
+function round(value: number) {
+  return Math.round(value * 100) / 100;
+}
+
+function logMarkdown() {
+  const rows = results.map(
+    ({ label, sprites, updateTime, renderTime, frameInterval }) =>
+      `| ${label} | ${sprites} | ${updateTime} | ${renderTime} | ${frameInterval} |`,
+  );
+  console.info(
+    [
+      `Browser: ${navigator.userAgent}, ${navigator.hardwareConcurrency} cores`,
+      '| Run | Sprites | Update (ms) | Render (ms) | Frame interval (ms) |',
+      '| --- | --- | --- | --- | --- |',
+      ...rows,
+    ].join('\n'),
+  );
+}
+
+/**
+ * Zigzags the camera across the level's bounds, from the top left down to the bottom.
+ * @param {Anim} anim - With a level loaded.
+ * @param {string} label - Names the run in the results.
+ * @param {{width: number, height: number}} view - Size of the view, in pixels.
+ * @param {number} [duration] - In seconds.
+ * @returns {Promise<BenchmarkResult | undefined>} result - Undefined if the level unloaded first.
+ */
+export function runRenderBenchmark(
+  anim: NonNullable<Anim>,
+  label: string,
+  view: { width: number; height: number },
+  duration = 10.0,
+): Promise<BenchmarkResult | undefined> {
+  const bounds = anim.getLevelBounds();
+  if (!bounds) {
+    throw Error('Level not loaded');
+  }
+  const rangeX = Math.max(0, bounds.width - view.width);
+  const rangeY = Math.max(0, bounds.height - view.height);
+  const passes = 4; // Across and back twice
+
+  const samples: RenderStats[] = [];
+  let frames = 0;
+  let frameTime = 0.0;
+  let start = 0.0;
+  let last = 0.0;
+
+  return new Promise((resolve) => {
+    function onFrame(time: number) {
+      if (!anim.getCurrentLevel()) {
+        resolve(undefined);
+        return;
+      }
+      if (frames === 0) {
+        start = time;
+      } else {
+        frameTime += time - last;
+      }
+      last = time;
+      frames++;
+
+      const t = Math.min(1.0, (time - start) / (duration * 1000));
+      const across = (t * passes) % 2.0; // 0 - 2, there and back
+      anim.setCameraPosition(
+        bounds!.x + rangeX * (across > 1.0 ? 2.0 - across : across),
+        bounds!.y + rangeY * t,
+      );
+      if (frames % STATS_INTERVAL === 0) {
+        samples.push(anim.getRenderStats());
+      }
+      if (t < 1.0) {
+        requestAnimationFrame(onFrame);
+        return;
+      }
+
+      const mean = (key: keyof RenderStats) =>
+        samples.reduce((sum, stats) => sum + stats[key], 0) /
+        Math.max(1, samples.length);
+      const max = (key: keyof RenderStats) =>
+        Math.max(0, ...samples.map((stats) => stats[key]));
+      const result: BenchmarkResult = {
+        label,
+        sprites: max('sprites'),
+        chunks: max('chunks'),
+        liveTiles: max('liveTiles'),
+        chunkedTiles: max('chunkedTiles'),
+        updateTime: round(mean('updateTime')),
+        renderTime: round(mean('renderTime')),
+        frameInterval: round(frameTime / Math.max(1, frames - 1)),
+        frames,
+      };
+      results.push(result);
+      console.table(results);
+      logMarkdown();
+      resolve(result);
+    }
+    requestAnimationFrame(onFrame);
+  });
+}
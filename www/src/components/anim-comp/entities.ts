@@ -0,0 +1,85 @@
+import type { Container, Sprite, Spritesheet } from 'pixi.js';
+import gsap from 'gsap';
+import type { LevelObject } from '@/utils/tiled-objects';
+import type { TileMap } from '@/types/tile.types';
+
+// Entities
+// --------
+// Objects placed in Tiled object layers are spawned by the factory registered against their class.
+
+export type EntityContext = {
+  sheet: Spritesheet;
+  tileSize: number;
+  /** The container the entity will be added to */
+  parent: Container;
+  orientation: TileMap['orientation'];
+  /** Converts object coordinates (map pixels) to screen pixels, a no-op on orthogonal maps */
+  toScreen: (x: number, y: number) => { x: number; y: number };
+  /** Creates a tile object's sprite as the level places it, with the tile's animation and behaviour */
+  createTileSprite: (object: LevelObject & { shape: 'tile' }) => Sprite;
+};
+
+// Returns the display object to add to the level, or nothing for data only entities (eg. triggers)
+export type EntityFactory = (
+  object: LevelObject,
+  context: EntityContext,
+) => Container | null | void;
+
+// Bottom center of the object in map pixels, where entities stand
+export function getObjectFoot(
+  object: LevelObject,
+  orientation: TileMap['orientation'] = 'orthogonal',
+) {
+  switch (object.shape) {
+    case 'point':
+      return { x: object.x, y: object.y };
+    case 'tile':
+      // Tile objects are positioned by their bottom left, or bottom center on isometric maps
+      return orientation === 'isometric'
+        ? { x: object.x, y: object.y }
+        : { x: object.x + object.width * 0.5, y: object.y };
+    default:
+      return { x: object.x + object.width * 0.5, y: object.y + object.height };
+  }
+}
+
+// Walks the display object back and forth horizontally, facing the direction of travel.
+// - Expects the art to face left when unscaled.
+// - A |dir| of -1.0 will walk left first.
+// - Keeps the magnitude of the current x scale.
+export function patrol(
+  displayObject: Container,
+  distance: number,
+  dir: number = 1.0,
+) {
+  const scaleX = Math.abs(displayObject.scale.x);
+  displayObject.scale.x = -dir * scaleX;
+  let prevProgress = 0.0;
+  const tw = gsap.to(displayObject, 2.0, {
+    x: `+=${dir * distance}`,
+    ease: 'Power2.easeInOut',
+    repeat: -1,
+    yoyo: true,
+    delay: 2.0,
+    onUpdate: () => {
+      const progress = tw.progress();
+      displayObject.scale.x =
+        (progress > prevProgress ? -1.0 : 1.0) * dir * scaleX;
+      prevProgress = progress;
+    },
+  });
+  return tw;
+}
+
+// The player is its tile object, animated and moved by the tile (eg. `behaviour = patrol`)
+export const createPlayer: EntityFactory = (object, { createTileSprite }) => {
+  if (object.shape !== 'tile') {
+    throw Error(`Player must be a tile object ${object.name}`);
+  }
+  return createTileSprite(object);
+};
+
+// Keyed by object class
+export const defaultEntityFactories: Record<string, EntityFactory> = {
+  player: createPlayer,
+};
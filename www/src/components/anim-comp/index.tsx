@@ -1,4 +1,5 @@
 import { createAnim, Anim, AnimProps } from '@/components/anim-comp/anim';
+import { runRenderBenchmark } from '@/components/anim-comp/benchmark';
 import { cn } from '@/utils/cn';
 import { ClassValue } from 'clsx';
 import { useEffect, useRef, useState } from 'react';
@@ -6,23 +7,48 @@ import { LoaderCircle } from 'lucide-react';
 
 type AnimWrapperProps = {
   className?: ClassValue;
+  /** Runs the render benchmark once the first level loads, logging the results */
+  benchmark?: boolean;
+  /** Pauses the game, can change at any time */
+  paused?: boolean;
 };
 
 export function AnimComp({
   className,
+  benchmark,
+  paused = false,
   ...animProps
 }: AnimWrapperProps & AnimProps) {
   const anim = useRef<Anim>(null);
   const containingDiv = useRef(null);
 
   const [isLoading, setIsLoading] = useState(false); // Used for the loader
+  const [mapVersion, setMapVersion] = useState(0); // Bumped when a map is edited in dev
+  const currentLevel = useRef<string>(undefined); // Kept when the anim is recreated
+
+  // Reload when the Tiled maps plugin recompiles a map (dev only)
+
+  useEffect(() => {
+    const hot = import.meta.hot;
+    if (!hot) {
+      return;
+    }
+    const onMapUpdate = () => setMapVersion((version) => version + 1);
+    hot.on('tiled:map-update', onMapUpdate);
+    return () => hot.off('tiled:map-update', onMapUpdate);
+  }, []);
 
   // Create and destroy
 
   useEffect(() => {
     if (containingDiv.current) {
-      const _anim = createAnim(animProps);
+      const _anim = createAnim({
+        ...animProps,
+        startLevel: currentLevel.current ?? animProps.startLevel,
+      });
       if (_anim) {
+        let benchmarkStarted = false;
+        _anim.setPaused(paused);
         setIsLoading(true);
         anim.current = _anim; // For this comp to communicate with
         const initResult = _anim.init({
@@ -30,6 +56,22 @@ export function AnimComp({
           onLoaded: () => {
             setIsLoading(false);
           },
+          onLevelChange: (level) => {
+            if (level) {
+              currentLevel.current = level.id;
+            }
+            if (level && benchmark && !benchmarkStarted) {
+              benchmarkStarted = true;
+              runRenderBenchmark(
+                _anim,
+                animProps.chunkTiles === false ? 'sprites' : 'chunks',
+                {
+                  width: animProps.tileDims.width * animProps.tileSize,
+                  height: animProps.tileDims.height * animProps.tileSize,
+                },
+              );
+            }
+          },
         });
         return () => {
           async function delayedDestroy() {
@@ -42,11 +84,19 @@ export function AnimComp({
       }
     }
     // eslint-disable-next-line react-hooks/exhaustive-deps -- Needed to trigger HMR on anim change
-  }, [createAnim]); // Triggers HMR when anim function changes
+  }, [createAnim, mapVersion]); // Triggers HMR when anim function or map changes
 
   // Communications:
   // via anim.current
 
+  useEffect(() => {
+    anim.current?.setPaused(paused);
+  }, [paused]);
+
+  useEffect(() => {
+    anim.current?.setPixelScale(animProps.pixelScale ?? 1);
+  }, [animProps.pixelScale]);
+
   // Notes:
 
   return (
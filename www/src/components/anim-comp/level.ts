@@ -0,0 +1,1159 @@
+import {
+  AnimatedSprite,
+  Assets,
+  Container,
+  Sprite,
+  type Renderer,
+  Spritesheet,
+  Texture,
+  TilingSprite,
+} from 'pixi.js';
+import gsap from 'gsap';
+import type { TileLayer, TileMap, TileSet } from '@/types/tile.types';
+import { decodeTileData } from '@/utils/tiled-data';
+import { parseGid, type TileFlips } from '@/utils/tiled-gid';
+import { applyHexTileFlips, applyTileFlips } from '@/utils/pixi';
+import { parseObject, type LevelObject } from '@/utils/tiled-objects';
+import { getTextureName, resolveRelativePath } from '@/utils/path';
+import { parseTiledColor } from '@/utils/color';
+import { createProperties, type Properties } from '@/utils/tiled-props';
+import {
+  getCellTileBounds,
+  getObjectTileBounds,
+  type Rect,
+} from '@/utils/tiled-placement';
+import { loadTilesetTextures, resolveTilesets } from '@/utils/tiled-tilesets';
+import {
+  createMapProjection,
+  type MapProjection,
+  type ScreenPoint,
+} from '@/utils/tiled-projection';
+import type { EntityFactory } from '@/components/anim-comp/entities';
+import {
+  DEFAULT_TILE_RENDER,
+  resolveTileRender,
+  type TileBehaviour,
+  type TileRender,
+  type TileRenderConfig,
+} from '@/components/anim-comp/tile-render';
+import {
+  createTileChunks,
+  type ChunkTile,
+  type TileChunks,
+  type TileChunkStats,
+} from '@/components/anim-comp/tile-chunks';
+import {
+  createClockAnimation,
+  type AnimationClock,
+  type ClockAnimation,
+} from '@/components/anim-comp/animation-clock';
+
+// A loaded level
+// --------------
+// Builds the display objects for a Tiled map and owns them until destroyed.
+// Tile layers keep their placed tiles, so tiles can be read and changed at runtime
+// (eg. breaking blocks, collecting coins).
+// Static tiles of orthogonal maps are baked into chunks (see |createTileChunks|) while animated
+// tiles and tiles with a behaviour stay sprites, sorted with the chunks.
+// Animated tiles are stepped by the shared |AnimationClock| rather than animating themselves.
+
+// World bounds of the level (in pixels)
+export type WorldBounds = {
+  x: number;
+  y: number;
+  width: number;
+  height: number;
+};
+
+export type TileChange = {
+  /** Path of the changed level's map */
+  map: string;
+  /** Path of the tile layer (eg. `gameplay/solids`) */
+  layer: string;
+  col: number;
+  row: number;
+  /** Raw GIDs including flip flags, 0 is empty */
+  gid: number;
+  previousGid: number;
+};
+
+export type TileChangeListener = (change: TileChange) => void;
+
+export type Level = {
+  mapPath: string;
+  tilemap: TileMap;
+  /** Holds all the level's layers */
+  container: Container;
+  /** Bounds of the placed tiles, relative to |container| */
+  worldBounds: WorldBounds;
+  projection: MapProjection;
+  /** Objects from the level's object layers, optionally filtered by class */
+  getObjects: (className?: string) => LevelObject[];
+  getMapProperties: () => Properties;
+  getLayerProperties: (nameOrPath: string) => Properties | undefined;
+  getTileProperties: (gid: number) => Properties | undefined;
+  /** Raw GID (including flip flags) of the tile in a tile layer, 0 if empty */
+  getTile: (layer: string, col: number, row: number) => number;
+  /** Replaces the tile in a tile layer, a GID of 0 clears it */
+  setTile: (layer: string, col: number, row: number, gid: number) => void;
+  clearTile: (layer: string, col: number, row: number) => void;
+  /** Called after every tile change, returns a function to unsubscribe */
+  onTileChange: (listener: TileChangeListener) => () => void;
+  /**
+   * Scrolls the parallax layers for the view, then bakes the tile chunks in view and culls the rest.
+   * @param {Rect} view - The visible area in the level parent's pixels (ie. world pixels).
+   */
+  updateView: (view: Rect) => void;
+  /**
+   * Offsets the tile, image and object layers against the view's fractional position, so they're drawn
+   * on whole pixels while the camera and entities move by fractions. Cheap, so can run before each render.
+   * @param {{x: number, y: number}} view - Top left of the visible area, in world pixels.
+   */
+  alignToView: (view: { x: number; y: number }) => void;
+  getStats: () => LevelStats;
+  /** Holds the entities' tweens and animations, the clock pauses the animated tiles */
+  setPaused: (paused: boolean) => void;
+  /** Stops entity tweens and destroys all the level's display objects */
+  destroy: () => void;
+};
+
+export type LevelStats = TileChunkStats & {
+  /** Animated tiles and tiles with a behaviour */
+  liveTiles: number;
+  /** Tiles baked into chunks */
+  chunkedTiles: number;
+};
+
+export type LevelOptions = {
+  mapPath: string;
+  tilemap: TileMap;
+  sheet: Spritesheet;
+  tileSize: number;
+  /** Entity factories by class */
+  factories: Record<string, EntityFactory>;
+  /** Tile behaviours by name */
+  behaviours: Record<string, TileBehaviour>;
+  /** Sidecar tile render config keyed by texture name */
+  tileRenders: Record<string, TileRenderConfig>;
+  /** The level container is added to this */
+  parent: Container;
+  /** Bakes the tile chunks */
+  renderer: Renderer;
+  /** Steps the animated tiles, shared by all the loaded levels */
+  clock: AnimationClock;
+  /** Bake static tiles of orthogonal maps into chunks (default), otherwise every tile is a sprite */
+  chunkTiles?: boolean;
+  /** Position of the level container, eg. the map's world offset */
+  offset?: { x: number; y: number };
+};
+
+type TileInfo = {
+  tx: string;
+  /** From the sheet (image collection tilesets) or sliced from the tileset image */
+  texture: Texture | undefined;
+  tileset: TileSet;
+  /** Timed frames from the Tiled tile animation, if set */
+  frames: { texture: Texture | undefined; duration: number }[] | null;
+  /** Fallback animation from the sheet, for tiles ending in `_0` */
+  animBase: string | null;
+  render: TileRender;
+};
+// Layer containers, for parallax scrolling
+type LayerScroll = {
+  container: Container;
+  /** The layer's offset, snapped */
+  offset: { x: number; y: number };
+  /** Accumulated offset of the layer and its parents */
+  origin: { x: number; y: number };
+  /** Parallax factor, multiplied by the parent groups' */
+  factor: { x: number; y: number };
+  /** Accumulated parallax shift of the layer and its parents (in whole pixels) */
+  shift: { x: number; y: number };
+  parent: LayerScroll | null;
+  /** Tile, image and object layers are offset against the view's fraction, see |alignToView| */
+  snap: boolean;
+};
+
+// Tile layers keep each placed tile by cell, either as a sprite or in a chunk
+type TileCell = {
+  gid: number;
+  sprite: Sprite | null;
+  chunkTile: ChunkTile | null;
+};
+type TileLayerState = {
+  name: string;
+  path: string;
+  container: Container;
+  scroll: LayerScroll;
+  cells: Map<string, TileCell>;
+  chunks: TileChunks | null;
+};
+
+// Higher z-index tiles are drawn in front of all lower ones, then by depth
+const TILE_Z_INDEX_BAND = 2 ** 32;
+
+// Sheet animations (tiles ending in `_0`) have no frame durations, in ms
+const SHEET_FRAME_DURATION = 1000 / 6;
+
+// Baked chunks this far beyond the view (as a fraction of its size) are kept, further ones are dropped
+const CHUNK_KEEP_MARGIN = 0.5;
+
+function cellKey(col: number, row: number) {
+  return `${col},${row}`;
+}
+
+export async function createLevel({
+  mapPath,
+  tilemap,
+  sheet,
+  tileSize,
+  factories,
+  behaviours,
+  tileRenders,
+  parent,
+  renderer,
+  clock,
+  chunkTiles = true,
+  offset = { x: 0, y: 0 },
+}: LevelOptions): Promise<Level> {
+  const levelContainer = new Container({ label: mapPath });
+  levelContainer.position.set(offset.x, offset.y);
+  parent.addChild(levelContainer);
+
+  const levelObjects: LevelObject[] = [];
+  const layerPropertiesList: {
+    name: string;
+    path: string;
+    properties: Properties;
+  }[] = [];
+  const tilePropertiesLookup: Record<string, Properties> = {};
+  const entities: Container[] = [];
+  const tileLayers: TileLayerState[] = [];
+  const tileChangeListeners: TileChangeListener[] = [];
+  // Sliced from shared (cached) tileset images, so destroyed with the level
+  const tileTextures: Texture[] = [];
+  const tileAnimations = new Map<TileInfo, ClockAnimation | null>();
+  const clockSprites = new Set<Sprite>(); // Removed from the clock with the level
+  let paused = false;
+
+  const mapIdToTxLookup: Record<string, TileInfo> = {};
+  const mapProperties = createProperties(tilemap.properties, mapPath);
+  const projection = createMapProjection(tilemap);
+  const tilesets = await resolveTilesets(tilemap, mapPath);
+  for (let j = 0; j < tilesets.length; j++) {
+    const tileset = tilesets[j];
+    const firstGID = tileset.firstgid;
+
+    if (tileset.image) {
+      // Single image tilesets are sliced into a texture per tile
+      const textures = await loadTilesetTextures(
+        tileset,
+        tileset.sourcePath ?? mapPath,
+      );
+      tileTextures.push(...textures);
+      for (let i = 0; i < textures.length; i++) {
+        mapIdToTxLookup[`tx_${firstGID + i}`] = {
+          tx: `${tileset.name}/${i}`,
+          texture: textures[i],
+          tileset,
+          frames: null,
+          animBase: null,
+          render: DEFAULT_TILE_RENDER,
+        };
+      }
+    }
+
+    if (tileset.tiles) {
+      for (let i = 0; i < tileset.tiles.length; i++) {
+        const tile = tileset.tiles[i];
+        const id = firstGID + tile.id;
+
+        if (tile.properties) {
+          // File properties of external tilesets are relative to the tileset
+          tilePropertiesLookup[`tx_${id}`] = createProperties(
+            tile.properties,
+            tileset.sourcePath ?? mapPath,
+          );
+        }
+
+        if (!tile.image) {
+          continue;
+        }
+        const tx = getTextureName(tile.image);
+
+        let animBase = null;
+        if (tx.endsWith('_0')) {
+          const baseParts = tx.split('_');
+          baseParts.splice(baseParts.length - 1, 1);
+          animBase = baseParts.join('_');
+        }
+
+        mapIdToTxLookup[`tx_${id}`] = {
+          tx: tx,
+          texture: sheet.textures[tx],
+          tileset,
+          frames: null,
+          animBase: animBase,
+          render: DEFAULT_TILE_RENDER,
+        };
+      }
+
+      // Tile animations reference other tiles in the set, so resolve once all are known
+      for (let i = 0; i < tileset.tiles.length; i++) {
+        const tile = tileset.tiles[i];
+        if (tile.animation && tile.animation.length > 0) {
+          const tileInfo = mapIdToTxLookup[`tx_${firstGID + tile.id}`];
+          if (!tileInfo) {
+            throw Error(`Animation tile not found ${firstGID + tile.id}`);
+          }
+          tileInfo.frames = tile.animation.map((frame) => {
+            const frameInfo = mapIdToTxLookup[`tx_${firstGID + frame.tileid}`];
+            if (!frameInfo) {
+              throw Error(
+                `Animation frame tile not found ${firstGID + frame.tileid}`,
+              );
+            }
+            return {
+              texture: frameInfo.texture,
+              duration: frame.duration,
+            };
+          });
+        }
+      }
+    }
+  }
+
+  // Render transforms, once all the tile properties are known
+  for (const [key, tileInfo] of Object.entries(mapIdToTxLookup)) {
+    tileInfo.render = resolveTileRender(
+      tilePropertiesLookup[key],
+      tileRenders[tileInfo.tx],
+    );
+  }
+
+  function getTileInfo(id: number) {
+    const tileInfo = mapIdToTxLookup[`tx_${id}`];
+    if (!tileInfo) {
+      throw Error(`Tile not found ${id}`);
+    }
+    return tileInfo;
+  }
+
+  function getTexture(texture: Texture | undefined, tileInfo: TileInfo) {
+    if (!texture) {
+      throw Error(`Texture not found ${tileInfo.tx}`);
+    }
+    return texture;
+  }
+
+  // Resolved on first use, so missing frame textures only throw for placed tiles
+  function getTileAnimation(tileInfo: TileInfo) {
+    let animation = tileAnimations.get(tileInfo);
+    if (animation !== undefined) {
+      return animation;
+    }
+    animation = null;
+    if (tileInfo.frames) {
+      animation = createClockAnimation(
+        tileInfo.frames.map((frame) => ({
+          texture: getTexture(frame.texture, tileInfo),
+          duration: frame.duration,
+        })),
+      );
+    } else if (tileInfo.animBase && sheet.animations[tileInfo.animBase]) {
+      animation = createClockAnimation(
+        sheet.animations[tileInfo.animBase].map((texture) => ({
+          texture,
+          duration: SHEET_FRAME_DURATION,
+        })),
+      );
+    }
+    tileAnimations.set(tileInfo, animation);
+    return animation;
+  }
+
+  // Animated tiles start on the clock's current frame, offset by |phase| (in ms)
+  function createTileSprite(tileInfo: TileInfo, phase = 0): Sprite {
+    const animation = getTileAnimation(tileInfo);
+    if (!animation) {
+      return new Sprite(getTexture(tileInfo.texture, tileInfo));
+    }
+    const sprite = new Sprite(animation.frames[0].texture);
+    clock.add(sprite, animation, phase);
+    clockSprites.add(sprite);
+    return sprite;
+  }
+
+  // Sizes and positions a center anchored tile sprite to fill |bounds|.
+  // The top left snaps to whole pixels, keeping tiles on the scene's pixel grid at any pixel scale.
+  function fitTile(
+    sprite: Sprite,
+    bounds: Rect,
+    offset: { x: number; y: number },
+    swapAxes: boolean,
+  ) {
+    const w = swapAxes ? bounds.height : bounds.width;
+    const h = swapAxes ? bounds.width : bounds.height;
+    sprite.scale.set(
+      Math.sign(sprite.scale.x) * (w / sprite.texture.orig.width),
+      Math.sign(sprite.scale.y) * (h / sprite.texture.orig.height),
+    );
+    sprite.x = Math.round(bounds.x + offset.x) + bounds.width * 0.5;
+    sprite.y = Math.round(bounds.y + offset.y) + bounds.height * 0.5;
+  }
+
+  // Animated tiles and tiles with a behaviour change after they're placed, so aren't chunked
+  function isLiveTile(tileInfo: TileInfo) {
+    return !!getTileAnimation(tileInfo) || !!tileInfo.render.behaviour;
+  }
+
+  // Where the tile is drawn, from the bottom left of its cell (see |getCellTileBounds|).
+  // |width| and |height| are the unflipped size of the tile's texture.
+  function getTilePlacement(
+    tileInfo: TileInfo,
+    width: number,
+    height: number,
+    diagonal: boolean,
+    _c: number,
+    _r: number,
+  ) {
+    const { render } = tileInfo;
+    // Hexagonal rotations keep the unrotated footprint
+    const swapAxes = diagonal && projection.orientation !== 'hexagonal';
+    const cell =
+      projection.orientation === 'orthogonal'
+        ? {
+            x: _c * tileSize,
+            y: _r * tileSize,
+            width: tileSize,
+            height: tileSize,
+          }
+        : {
+            ...projection.tileToScreen(_c, _r),
+            width: projection.tileWidth,
+            height: projection.tileHeight,
+          };
+    const w = width * Math.abs(render.scale.x);
+    const h = height * Math.abs(render.scale.y);
+    const bounds = getCellTileBounds(
+      cell,
+      swapAxes ? h : w,
+      swapAxes ? w : h,
+      tileInfo.tileset,
+      render.anchor ?? undefined,
+    );
+    return { bounds, swapAxes };
+  }
+
+  function getTileZIndex(zIndex: number, _c: number, _r: number) {
+    return zIndex * TILE_Z_INDEX_BAND + projection.depth(_c, _r);
+  }
+
+  // A tile layer tile's sprite, positioned in the layer and sorted by depth
+  // so tiles set later are still drawn in order.
+  function createCellTileSprite(rawGid: number, _c: number, _r: number) {
+    const { gid: id, flips, rotatedHex120 } = parseGid(rawGid);
+    const tileInfo = getTileInfo(id);
+    const { render } = tileInfo;
+
+    // Flips and behaviours act about the center
+    const sprite = createTileSprite(tileInfo, render.phase);
+    sprite.anchor.set(0.5, 0.5);
+    if (projection.orientation === 'hexagonal') {
+      applyHexTileFlips(sprite, flips, rotatedHex120);
+    } else {
+      applyTileFlips(sprite, flips);
+    }
+    const { bounds, swapAxes } = getTilePlacement(
+      tileInfo,
+      sprite.texture.orig.width,
+      sprite.texture.orig.height,
+      flips.diagonal,
+      _c,
+      _r,
+    );
+    fitTile(sprite, bounds, render.offset, swapAxes);
+
+    sprite.zIndex = getTileZIndex(render.zIndex, _c, _r);
+    return sprite;
+  }
+
+  function placeTile(
+    rawGid: number,
+    _c: number,
+    _r: number,
+    layer: TileLayerState,
+  ) {
+    const { gid: id, flips } = parseGid(rawGid);
+    const tileInfo = getTileInfo(id);
+    const { render } = tileInfo;
+
+    if (layer.chunks && !isLiveTile(tileInfo)) {
+      const texture = getTexture(tileInfo.texture, tileInfo);
+      const { bounds } = getTilePlacement(
+        tileInfo,
+        texture.orig.width,
+        texture.orig.height,
+        flips.diagonal,
+        _c,
+        _r,
+      );
+      const chunkTile = {
+        col: _c,
+        row: _r,
+        gid: rawGid,
+        zIndex: render.zIndex,
+        bounds: {
+          ...bounds,
+          x: Math.round(bounds.x + render.offset.x), // As |fitTile|
+          y: Math.round(bounds.y + render.offset.y),
+        },
+      };
+      layer.chunks.add(chunkTile);
+      layer.cells.set(cellKey(_c, _r), {
+        gid: rawGid,
+        sprite: null,
+        chunkTile,
+      });
+      return;
+    }
+
+    const sprite = createCellTileSprite(rawGid, _c, _r);
+    applyTileBehaviour(sprite, id, flips);
+
+    layer.container.addChild(sprite);
+    layer.cells.set(cellKey(_c, _r), { gid: rawGid, sprite, chunkTile: null });
+  }
+
+  // The tile's behaviour property animates it the same on a tile layer or as a tile object,
+  // the sprite is then an entity (paused with the level)
+  function applyTileBehaviour(sprite: Sprite, id: number, flips: TileFlips) {
+    const { render } = getTileInfo(id);
+    if (!render.behaviour) {
+      return;
+    }
+    const behaviour = behaviours[render.behaviour];
+    if (!behaviour) {
+      throw Error(`Tile behaviour not found ${render.behaviour}`);
+    }
+    behaviour(sprite, {
+      tileSize,
+      flips,
+      properties: tilePropertiesLookup[`tx_${id}`],
+    });
+    addEntity(sprite);
+  }
+
+  // Tile objects are sized by the object and rotate about their alignment point
+  // (see |getObjectTileBounds|), on staggered and hexagonal maps positions are in map pixels
+  function createTileObjectSprite(object: LevelObject & { shape: 'tile' }) {
+    const tileInfo = getTileInfo(object.gid);
+    const sprite = createTileSprite(
+      tileInfo,
+      object.properties.getFloat('phase') ?? tileInfo.render.phase,
+    );
+    sprite.anchor.set(0.5, 0.5);
+    sprite.scale.set(
+      object.width / sprite.texture.orig.width,
+      object.height / sprite.texture.orig.height,
+    );
+    applyTileFlips(sprite, object.flips);
+    sprite.angle += object.rotation;
+
+    const bounds = getObjectTileBounds(
+      object.width,
+      object.height,
+      tileInfo.tileset,
+      projection.orientation,
+    );
+    const rad = (object.rotation * Math.PI) / 180.0;
+    const screen = projection.pixelToScreen(object.x, object.y);
+    const pos = { x: Math.round(screen.x), y: Math.round(screen.y) }; // As tile layer tiles
+    const cx = bounds.x + bounds.width * 0.5;
+    const cy = bounds.y + bounds.height * 0.5;
+    sprite.x = pos.x + cx * Math.cos(rad) - cy * Math.sin(rad);
+    sprite.y = pos.y + cx * Math.sin(rad) + cy * Math.cos(rad);
+    sprite.visible = object.visible;
+    applyTileBehaviour(sprite, object.gid, object.flips);
+    return sprite;
+  }
+
+  // Entities spawned while paused start paused,
+  // sprites of tiles with a behaviour are already entities when returned by a factory
+  function addEntity(entity: Container) {
+    if (entities.includes(entity)) {
+      return;
+    }
+    entities.push(entity);
+    if (paused) {
+      pauseEntity(entity, true);
+    }
+  }
+
+  function pauseEntity(entity: Container, pause: boolean) {
+    for (const tween of gsap.getTweensOf(entity)) {
+      tween.paused(pause);
+    }
+    if (entity instanceof AnimatedSprite) {
+      if (pause) {
+        entity.stop();
+      } else {
+        entity.play();
+      }
+    }
+  }
+
+  function setPaused(value: boolean) {
+    if (value === paused) {
+      return;
+    }
+    paused = value;
+    for (const entity of entities) {
+      pauseEntity(entity, paused);
+    }
+  }
+
+  // Objects with a registered class are spawned by their factory,
+  // remaining tile objects are drawn and other shapes are available as data only.
+  function spawnObject(object: LevelObject, parent: Container) {
+    const factory = factories[object.className];
+    if (factory) {
+      const entity = factory(object, {
+        sheet,
+        tileSize,
+        parent,
+        orientation: projection.orientation,
+        toScreen: projection.pixelToScreen,
+        createTileSprite: createTileObjectSprite,
+      });
+      if (entity) {
+        parent.addChild(entity);
+        addEntity(entity);
+      }
+    } else if (object.shape === 'tile') {
+      parent.addChild(createTileObjectSprite(object));
+    }
+  }
+
+  // Places a rectangular block of GIDs with its top left at |x|,|y| (in tiles)
+  function placeTiles(
+    data: number[],
+    x: number,
+    y: number,
+    width: number,
+    height: number,
+    layer: TileLayerState,
+  ) {
+    for (let r = 0; r < height; r++) {
+      for (let c = 0; c < width; c++) {
+        const id = data[r * width + c];
+        if (id > 0) {
+          placeTile(id, c + x, r + y, layer);
+        }
+      }
+    }
+  }
+
+  // Repeating image layers are sized to the world bounds once known
+  const repeatingImages: {
+    sprite: TilingSprite;
+    layer: TileLayer;
+    scroll: LayerScroll;
+  }[] = [];
+
+  // The layer container applies the layer offset
+  async function placeImageLayer(
+    layer: TileLayer,
+    parent: Container,
+    scroll: LayerScroll,
+  ) {
+    if (!layer.image) {
+      return;
+    }
+    const texture = await Assets.load<Texture>(
+      resolveRelativePath(mapPath, layer.image),
+    );
+    texture.source.scaleMode = 'nearest';
+
+    if (layer.repeatx || layer.repeaty) {
+      const sprite = new TilingSprite({ texture });
+      repeatingImages.push({ sprite, layer, scroll });
+      parent.addChild(sprite);
+    } else {
+      parent.addChild(new Sprite(texture));
+    }
+  }
+
+  // Decodes base64 / compressed layer data, adding the layer to any error
+  async function decodeLayerData(
+    layer: TileLayer,
+    data: number[] | string,
+    expectedLength: number,
+  ) {
+    try {
+      return await decodeTileData(
+        data,
+        layer.encoding,
+        layer.compression,
+        expectedLength,
+      );
+    } catch (err) {
+      throw Error(`Layer "${layer.name}": ${(err as Error).message}`);
+    }
+  }
+
+  // Tile bounds of all placed layer data, may extend into negative coords for infinite maps
+  const tileBounds = {
+    left: Infinity,
+    top: Infinity,
+    right: -Infinity,
+    bottom: -Infinity,
+  };
+  function extendTileBounds(
+    x: number,
+    y: number,
+    width: number,
+    height: number,
+  ) {
+    tileBounds.left = Math.min(tileBounds.left, x);
+    tileBounds.top = Math.min(tileBounds.top, y);
+    tileBounds.right = Math.max(tileBounds.right, x + width);
+    tileBounds.bottom = Math.max(tileBounds.bottom, y + height);
+  }
+
+  if (!tilemap.infinite) {
+    extendTileBounds(0, 0, tilemap.width, tilemap.height);
+  }
+
+  // Every layer gets its own container, applying the layer's offset, opacity, tint,
+  // visibility and blend mode. Group containers pass these on to their child layers (as Tiled does).
+  function createLayerContainer(layer: TileLayer, parent: Container) {
+    const container = new Container({ label: layer.name });
+    container.x = Math.round(layer.offsetx ?? 0); // Snap to whole pixels
+    container.y = Math.round(layer.offsety ?? 0);
+    container.alpha = layer.opacity;
+    container.visible = layer.visible;
+    if (layer.tintcolor) {
+      const { color, alpha } = parseTiledColor(layer.tintcolor);
+      container.tint = color;
+      container.alpha *= alpha;
+    }
+    if (layer.mode) {
+      container.blendMode = layer.mode;
+    }
+    parent.addChild(container);
+    return container;
+  }
+
+  // Every layer scrolls at its parallax factor, multiplied through its groups
+  const rootScroll: LayerScroll = {
+    container: levelContainer,
+    offset: { x: 0, y: 0 },
+    origin: { x: 0, y: 0 },
+    factor: { x: 1.0, y: 1.0 },
+    shift: { x: 0, y: 0 },
+    parent: null,
+    snap: false,
+  };
+  const layerScrolls: LayerScroll[] = []; // Parents before their children
+  const parallaxOrigin = {
+    x: tilemap.parallaxoriginx ?? 0,
+    y: tilemap.parallaxoriginy ?? 0,
+  };
+
+  // |parentPath| is the names of the parent groups, separated by `/`
+  async function buildLayers(
+    layers: TileLayer[],
+    parentScroll: LayerScroll,
+    parentPath: string,
+  ) {
+    for (let j = 0; j < layers.length; j++) {
+      const layer = layers[j];
+      const path = parentPath ? `${parentPath}/${layer.name}` : layer.name;
+      layerPropertiesList.push({
+        name: layer.name,
+        path,
+        properties: createProperties(layer.properties, mapPath),
+      });
+      const container = createLayerContainer(layer, parentScroll.container);
+      const scroll: LayerScroll = {
+        container,
+        offset: { x: container.x, y: container.y },
+        origin: {
+          x: parentScroll.origin.x + container.x,
+          y: parentScroll.origin.y + container.y,
+        },
+        factor: {
+          x: parentScroll.factor.x * (layer.parallaxx ?? 1.0),
+          y: parentScroll.factor.y * (layer.parallaxy ?? 1.0),
+        },
+        shift: { x: 0, y: 0 },
+        parent: parentScroll,
+        snap: layer.type !== 'group', // Groups would offset their children twice
+      };
+      layerScrolls.push(scroll);
+      if (layer.type === 'group') {
+        await buildLayers(layer.layers ?? [], scroll, path);
+        continue;
+      }
+      if (layer.type === 'objectgroup') {
+        const objects = (layer.objects ?? []).map((raw) =>
+          parseObject(raw, layer.name, mapPath),
+        );
+        levelObjects.push(...objects);
+        if (layer.draworder !== 'index') {
+          // Draw lower objects in front
+          objects.sort((a, b) => a.y - b.y);
+        }
+        objects.forEach((object) => spawnObject(object, container));
+        continue;
+      }
+      if (layer.type === 'imagelayer') {
+        await placeImageLayer(layer, container, scroll);
+        continue;
+      }
+      if (layer.type !== 'tilelayer') {
+        continue;
+      }
+      const tileLayer: TileLayerState = {
+        name: layer.name,
+        path,
+        container,
+        scroll,
+        cells: new Map(),
+        // Chunks are drawn by row, so only keep the draw order of orthogonal maps
+        chunks:
+          chunkTiles && projection.orientation === 'orthogonal'
+            ? createTileChunks({
+                renderer,
+                container,
+                createSprite: (tile) =>
+                  createCellTileSprite(tile.gid, tile.col, tile.row),
+                getZIndex: getTileZIndex,
+              })
+            : null,
+      };
+      tileLayers.push(tileLayer);
+      container.sortableChildren = true;
+      if (layer.chunks) {
+        // Infinite maps store their data in chunks, each with its own offset
+        for (let k = 0; k < layer.chunks.length; k++) {
+          const chunk = layer.chunks[k];
+          const data = await decodeLayerData(
+            layer,
+            chunk.data,
+            chunk.width * chunk.height,
+          );
+          placeTiles(
+            data,
+            chunk.x + layer.x,
+            chunk.y + layer.y,
+            chunk.width,
+            chunk.height,
+            tileLayer,
+          );
+          extendTileBounds(
+            chunk.x + layer.x,
+            chunk.y + layer.y,
+            chunk.width,
+            chunk.height,
+          );
+        }
+      } else if (layer.data && layer.width && layer.height) {
+        const data = await decodeLayerData(
+          layer,
+          layer.data,
+          layer.width * layer.height,
+        );
+        placeTiles(
+          data,
+          layer.x,
+          layer.y,
+          layer.width,
+          layer.height,
+          tileLayer,
+        );
+      }
+    }
+  }
+
+  await buildLayers(tilemap.layers, rootScroll, '');
+  const hasParallax = layerScrolls.some(
+    ({ factor }) => factor.x !== 1.0 || factor.y !== 1.0,
+  );
+
+  if (tileBounds.left > tileBounds.right) {
+    // Nothing placed
+    extendTileBounds(0, 0, 0, 0);
+  }
+
+  const worldBounds: WorldBounds =
+    projection.orientation === 'orthogonal'
+      ? {
+          x: tileBounds.left * tileSize,
+          y: tileBounds.top * tileSize,
+          width: (tileBounds.right - tileBounds.left) * tileSize,
+          height: (tileBounds.bottom - tileBounds.top) * tileSize,
+        }
+      : projection.tileRectBounds(
+          tileBounds.left,
+          tileBounds.top,
+          tileBounds.right,
+          tileBounds.bottom,
+        );
+
+  function fitRepeatingImages() {
+    for (const { sprite, layer, scroll } of repeatingImages) {
+      // Repeat across the world bounds, the pattern stays aligned to the layer offset
+      if (layer.repeatx) {
+        sprite.x = worldBounds.x - scroll.origin.x - scroll.shift.x;
+        sprite.width = worldBounds.width;
+      } else {
+        sprite.width = sprite.texture.width;
+      }
+      if (layer.repeaty) {
+        sprite.y = worldBounds.y - scroll.origin.y - scroll.shift.y;
+        sprite.height = worldBounds.height;
+      } else {
+        sprite.height = sprite.texture.height;
+      }
+      sprite.tilePosition.set(-sprite.x, -sprite.y);
+    }
+  }
+  fitRepeatingImages();
+
+  // The view's distance from whole pixels, snapped layers are offset by it
+  const viewFraction = { x: 0, y: 0 };
+
+  function positionLayers() {
+    for (const scroll of layerScrolls) {
+      const parentShift = scroll.parent?.shift ?? rootScroll.shift;
+      scroll.container.x =
+        scroll.offset.x +
+        scroll.shift.x -
+        parentShift.x +
+        (scroll.snap ? viewFraction.x : 0);
+      scroll.container.y =
+        scroll.offset.y +
+        scroll.shift.y -
+        parentShift.y +
+        (scroll.snap ? viewFraction.y : 0);
+    }
+  }
+
+  // Layers are shifted by the view center's distance from the parallax origin, scaled by
+  // one minus their factor (as Tiled does). Shifts are whole pixels so layers don't shimmer.
+  function updateParallax(viewCenter: ScreenPoint) {
+    if (!hasParallax) {
+      return;
+    }
+    const dx = viewCenter.x - offset.x - parallaxOrigin.x;
+    const dy = viewCenter.y - offset.y - parallaxOrigin.y;
+    for (const scroll of layerScrolls) {
+      scroll.shift.x = Math.round(dx * (1.0 - scroll.factor.x));
+      scroll.shift.y = Math.round(dy * (1.0 - scroll.factor.y));
+    }
+    positionLayers();
+    fitRepeatingImages();
+  }
+
+  // Drawn at -view + offset + container, which is whole once the container undoes the view's fraction
+  function alignToView({ x, y }: { x: number; y: number }) {
+    const fractionX = x - Math.round(x);
+    const fractionY = y - Math.round(y);
+    if (fractionX === viewFraction.x && fractionY === viewFraction.y) {
+      return;
+    }
+    viewFraction.x = fractionX;
+    viewFraction.y = fractionY;
+    positionLayers();
+  }
+
+  function updateView(rawView: Rect) {
+    // Parallax shifts and culling from the whole pixel view, so they don't shimmer
+    const view = {
+      ...rawView,
+      x: Math.round(rawView.x),
+      y: Math.round(rawView.y),
+    };
+    alignToView(rawView);
+    updateParallax({
+      x: view.x + view.width * 0.5,
+      y: view.y + view.height * 0.5,
+    });
+    const keepMargin = Math.max(view.width, view.height) * CHUNK_KEEP_MARGIN;
+    for (const { chunks, scroll } of tileLayers) {
+      // The view relative to the layer, which sits at its origin plus its parallax shift
+      chunks?.update(
+        {
+          ...view,
+          x: view.x - offset.x - scroll.origin.x - scroll.shift.x,
+          y: view.y - offset.y - scroll.origin.y - scroll.shift.y,
+        },
+        keepMargin,
+      );
+    }
+  }
+
+  function getStats(): LevelStats {
+    const stats: LevelStats = {
+      chunks: 0,
+      baked: 0,
+      visible: 0,
+      liveTiles: 0,
+      chunkedTiles: 0,
+    };
+    for (const { cells, chunks } of tileLayers) {
+      for (const cell of cells.values()) {
+        if (cell.sprite) {
+          stats.liveTiles++;
+        } else {
+          stats.chunkedTiles++;
+        }
+      }
+      const chunkStats = chunks?.getStats();
+      if (chunkStats) {
+        stats.chunks += chunkStats.chunks;
+        stats.baked += chunkStats.baked;
+        stats.visible += chunkStats.visible;
+      }
+    }
+    return stats;
+  }
+
+  function getObjects(className?: string) {
+    return className === undefined
+      ? [...levelObjects]
+      : levelObjects.filter((object) => object.className === className);
+  }
+
+  // Matches the full path first, then the first layer with the name
+  function getLayerProperties(nameOrPath: string) {
+    return (
+      layerPropertiesList.find((entry) => entry.path === nameOrPath) ??
+      layerPropertiesList.find((entry) => entry.name === nameOrPath)
+    )?.properties;
+  }
+
+  function getTileProperties(gid: number) {
+    return tilePropertiesLookup[`tx_${parseGid(gid).gid}`];
+  }
+
+  // Matches the full path first, then the first tile layer with the name
+  function getTileLayer(nameOrPath: string) {
+    const layer =
+      tileLayers.find((entry) => entry.path === nameOrPath) ??
+      tileLayers.find((entry) => entry.name === nameOrPath);
+    if (!layer) {
+      throw Error(`Tile layer not found ${nameOrPath}`);
+    }
+    return layer;
+  }
+
+  function getTile(layerName: string, col: number, row: number) {
+    return getTileLayer(layerName).cells.get(cellKey(col, row))?.gid ?? 0;
+  }
+
+  function removeTileSprite(sprite: Sprite) {
+    gsap.killTweensOf(sprite); // Behaviours
+    const index = entities.indexOf(sprite);
+    if (index >= 0) {
+      entities.splice(index, 1);
+    }
+    clock.remove(sprite);
+    clockSprites.delete(sprite);
+    sprite.destroy();
+  }
+
+  function setTile(layerName: string, col: number, row: number, gid: number) {
+    const layer = getTileLayer(layerName);
+    const key = cellKey(col, row);
+    const previous = layer.cells.get(key);
+    const previousGid = previous?.gid ?? 0;
+    if (gid === previousGid) {
+      return;
+    }
+    if (gid !== 0) {
+      getTileInfo(parseGid(gid).gid); // Throws for unknown tiles before changing anything
+    }
+
+    if (previous?.sprite) {
+      removeTileSprite(previous.sprite);
+    }
+    if (previous?.chunkTile) {
+      layer.chunks?.remove(previous.chunkTile); // Rebaked on the next view update
+    }
+    layer.cells.delete(key);
+    if (gid !== 0) {
+      placeTile(gid, col, row, layer);
+    }
+
+    const change = {
+      map: mapPath,
+      layer: layer.path,
+      col,
+      row,
+      gid,
+      previousGid,
+    };
+    for (const listener of [...tileChangeListeners]) {
+      listener(change);
+    }
+  }
+
+  function clearTile(layerName: string, col: number, row: number) {
+    setTile(layerName, col, row, 0);
+  }
+
+  function onTileChange(listener: TileChangeListener) {
+    tileChangeListeners.push(listener);
+    return () => {
+      const index = tileChangeListeners.indexOf(listener);
+      if (index >= 0) {
+        tileChangeListeners.splice(index, 1);
+      }
+    };
+  }
+
+  function destroy() {
+    for (const entity of entities) {
+      gsap.killTweensOf(entity);
+    }
+    entities.length = 0;
+    for (const sprite of clockSprites) {
+      clock.remove(sprite);
+    }
+    clockSprites.clear();
+    for (const { chunks } of tileLayers) {
+      chunks?.destroy(); // Also the baked textures
+    }
+    tileLayers.length = 0;
+    tileChangeListeners.length = 0;
+    levelContainer.destroy({ children: true });
+    for (const texture of tileTextures) {
+      texture.destroy(); // Keeps the image source
+    }
+    tileTextures.length = 0;
+  }
+
+  return {
+    mapPath,
+    tilemap,
+    container: levelContainer,
+    worldBounds,
+    projection,
+    getObjects,
+    getMapProperties: () => mapProperties,
+    getLayerProperties,
+    getTileProperties,
+    getTile,
+    setTile,
+    clearTile,
+    onTileChange,
+    updateView,
+    alignToView,
+    getStats,
+    setPaused,
+    destroy,
+  };
+}
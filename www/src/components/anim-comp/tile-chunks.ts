@@ -0,0 +1,234 @@
+import {
+  Container,
+  Matrix,
+  RenderTexture,
+  Sprite,
+  type Renderer,
+} from 'pixi.js';
+import type { Rect } from '@/utils/tiled-placement';
+import { intersects } from '@/utils/rect';
+
+// Static tile chunks
+// ------------------
+// A tile layer's static tiles are grouped into chunks, each a strip of cells along a row with the
+// same z-index. Each chunk is baked into a single texture when it first comes into view and dropped
+// once well out of view, so large levels draw a few chunk sprites rather than a sprite per tile.
+// - A baked chunk is redrawn on the next update after its tiles change.
+// - Chunk sprites are sorted with the layer's live tile sprites by the z-index of their first cell,
+//   so rows overlap in order. A static tile drawn left over a live tile earlier in its row is
+//   still drawn behind it.
+// - Rows only give the draw order of orthogonal maps, so projected maps shouldn't be chunked.
+
+/** In cells, along a row */
+export const CHUNK_SIZE = 16;
+
+export type ChunkTile = {
+  col: number;
+  row: number;
+  gid: number;
+  /** The tile's z-index property, tiles of each z-index are chunked apart */
+  zIndex: number;
+  /** Where the tile is drawn, in the layer's pixels */
+  bounds: Rect;
+};
+
+export type TileChunkStats = {
+  chunks: number;
+  /** Chunks with a texture */
+  baked: number;
+  /** Chunks drawn */
+  visible: number;
+};
+
+export type TileChunks = {
+  add: (tile: ChunkTile) => void;
+  remove: (tile: ChunkTile) => void;
+  /**
+   * Bakes the chunks overlapping |view|, hides the rest and drops those further than |keepMargin| away.
+   * @param {Rect} view - The visible area in the layer's pixels.
+   * @param {number} keepMargin - Distance beyond the view that baked chunks are kept within.
+   */
+  update: (view: Rect, keepMargin: number) => void;
+  getStats: () => TileChunkStats;
+  destroy: () => void;
+};
+
+type Chunk = {
+  tiles: Set<ChunkTile>;
+  /** Union of the tiles' bounds, grown as tiles are added */
+  bounds: Rect | null;
+  sprite: Sprite | null;
+  dirty: boolean;
+  /** Sorts the chunk's sprite, from its first cell */
+  zIndex: number;
+};
+
+function unionRect(a: Rect | null, b: Rect): Rect {
+  if (!a) {
+    return { ...b };
+  }
+  const x = Math.min(a.x, b.x);
+  const y = Math.min(a.y, b.y);
+  return {
+    x,
+    y,
+    width: Math.max(a.x + a.width, b.x + b.width) - x,
+    height: Math.max(a.y + a.height, b.y + b.height) - y,
+  };
+}
+
+export function createTileChunks({
+  renderer,
+  container,
+  createSprite,
+  getZIndex,
+}: {
+  renderer: Renderer;
+  /** The layer's container, sorting its children */
+  container: Container;
+  /** Creates the tile's sprite, positioned in the layer's pixels */
+  createSprite: (tile: ChunkTile) => Sprite;
+  /** The z-index of a tile sprite in the cell, to sort the chunk sprites with */
+  getZIndex: (zIndex: number, col: number, row: number) => number;
+}): TileChunks {
+  const chunks = new Map<string, Chunk>();
+
+  function getChunk(tile: ChunkTile) {
+    const col = Math.floor(tile.col / CHUNK_SIZE) * CHUNK_SIZE;
+    const key = `${tile.zIndex},${col},${tile.row}`;
+    let chunk = chunks.get(key);
+    if (!chunk) {
+      chunk = {
+        tiles: new Set(),
+        bounds: null,
+        sprite: null,
+        dirty: true,
+        zIndex: getZIndex(tile.zIndex, col, tile.row),
+      };
+      chunks.set(key, chunk);
+    }
+    return chunk;
+  }
+
+  function add(tile: ChunkTile) {
+    const chunk = getChunk(tile);
+    chunk.tiles.add(tile);
+    chunk.bounds = unionRect(chunk.bounds, tile.bounds);
+    chunk.dirty = true;
+  }
+
+  // The chunk's bounds are kept, they're refit when it's next baked
+  function remove(tile: ChunkTile) {
+    const chunk = getChunk(tile);
+    chunk.tiles.delete(tile);
+    chunk.dirty = true;
+  }
+
+  function drop(chunk: Chunk) {
+    chunk.sprite?.destroy({ texture: true, textureSource: true });
+    chunk.sprite = null;
+    chunk.dirty = true;
+  }
+
+  function bake(chunk: Chunk) {
+    chunk.dirty = false;
+    chunk.bounds = null;
+    if (chunk.tiles.size === 0) {
+      drop(chunk);
+      return;
+    }
+    const tiles = new Container({ sortableChildren: true });
+    for (const tile of chunk.tiles) {
+      tiles.addChild(createSprite(tile));
+      chunk.bounds = unionRect(chunk.bounds, tile.bounds);
+    }
+    // Also covers rotated tiles drawn beyond their bounds
+    const drawn = tiles.getLocalBounds();
+    const bounds = unionRect(chunk.bounds, {
+      x: drawn.minX,
+      y: drawn.minY,
+      width: drawn.width,
+      height: drawn.height,
+    });
+    chunk.bounds = bounds;
+
+    // Whole pixels, so the chunk's pixels line up with the tiles'
+    const x = Math.floor(bounds.x);
+    const y = Math.floor(bounds.y);
+    const width = Math.ceil(bounds.x + bounds.width) - x;
+    const height = Math.ceil(bounds.y + bounds.height) - y;
+
+    let texture = chunk.sprite?.texture as RenderTexture | undefined;
+    if (
+      !texture ||
+      texture.source.width !== width ||
+      texture.source.height !== height
+    ) {
+      drop(chunk);
+      texture = RenderTexture.create({ width, height, resolution: 1 });
+      texture.source.scaleMode = 'nearest';
+      chunk.sprite = new Sprite(texture);
+      chunk.sprite.zIndex = chunk.zIndex;
+      container.addChild(chunk.sprite);
+    }
+    renderer.render({
+      container: tiles,
+      target: texture,
+      clear: true,
+      clearColor: [0, 0, 0, 0],
+      transform: new Matrix(1, 0, 0, 1, -x, -y),
+    });
+    tiles.destroy({ children: true });
+    chunk.sprite!.position.set(x, y);
+    chunk.dirty = false;
+  }
+
+  function update(view: Rect, keepMargin: number) {
+    const keep = {
+      x: view.x - keepMargin,
+      y: view.y - keepMargin,
+      width: view.width + keepMargin * 2,
+      height: view.height + keepMargin * 2,
+    };
+    for (const chunk of chunks.values()) {
+      if (!chunk.bounds) {
+        continue; // Empty
+      }
+      if (intersects(view, chunk.bounds)) {
+        if (chunk.dirty) {
+          bake(chunk);
+        }
+        if (chunk.sprite) {
+          chunk.sprite.visible = true;
+        }
+      } else if (chunk.sprite) {
+        if (intersects(keep, chunk.bounds)) {
+          chunk.sprite.visible = false;
+        } else {
+          drop(chunk);
+        }
+      }
+    }
+  }
+
+  function getStats(): TileChunkStats {
+    let baked = 0;
+    let visible = 0;
+    for (const chunk of chunks.values()) {
+      if (chunk.sprite) {
+        baked++;
+        if (chunk.sprite.visible) {
+          visible++;
+        }
+      }
+    }
+    return { chunks: chunks.size, baked, visible };
+  }
+
+  function destroy() {
+    chunks.forEach(drop);
+    chunks.clear();
+  }
+
+  return { add, remove, update, getStats, destroy };
+}
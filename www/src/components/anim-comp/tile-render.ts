@@ -0,0 +1,104 @@
+import { Sprite } from 'pixi.js';
+import { patrol } from '@/components/anim-comp/entities';
+import type { TileFlips } from '@/utils/tiled-gid';
+import type { Properties } from '@/utils/tiled-props';
+
+// Tile render transforms
+// ----------------------
+// How each tile is drawn within its cell, declared per tile rather than in code:
+// - As custom properties on the tile in Tiled (eg. `anchorY = 1.0`, `behaviour = patrol`).
+// - In a sidecar config keyed by texture name (eg. `tiles.psd/diamond`), see |AnimProps.tileRenders|.
+// Tiled properties take precedence over the sidecar config.
+
+/** Uses the Tiled property names */
+export type TileRenderConfig = {
+  /** Point of the tile aligned with the same point of its cell (0.0 - 1.0) */
+  anchorX?: number;
+  anchorY?: number;
+  /** Sets both |scaleX| and |scaleY| */
+  scale?: number;
+  scaleX?: number;
+  scaleY?: number;
+  /** In pixels, applied after alignment */
+  offsetX?: number;
+  offsetY?: number;
+  /** Tiles with a higher z-index are drawn in front of others in the layer */
+  zIndex?: number;
+  /** Name of a registered |TileBehaviour| */
+  behaviour?: string;
+  /** Animation offset in ms, tile objects can set their own (eg. so a row of coins ripples) */
+  phase?: number;
+};
+
+export type TileRender = {
+  /** Unset uses the orientation's default alignment */
+  anchor: { x: number; y: number } | null;
+  scale: { x: number; y: number };
+  offset: { x: number; y: number };
+  zIndex: number;
+  behaviour: string | null;
+  /** In ms */
+  phase: number;
+};
+
+export const DEFAULT_TILE_RENDER: TileRender = {
+  anchor: null,
+  scale: { x: 1.0, y: 1.0 },
+  offset: { x: 0.0, y: 0.0 },
+  zIndex: 0,
+  behaviour: null,
+  phase: 0,
+};
+
+export function resolveTileRender(
+  properties?: Properties,
+  config: TileRenderConfig = {},
+): TileRender {
+  const getFloat = (name: keyof TileRenderConfig) =>
+    properties?.getFloat(name) ?? (config[name] as number | undefined);
+
+  const anchorX = getFloat('anchorX');
+  const anchorY = getFloat('anchorY');
+  const scale = getFloat('scale') ?? 1.0;
+  return {
+    anchor:
+      anchorX === undefined && anchorY === undefined
+        ? null
+        : { x: anchorX ?? 0.0, y: anchorY ?? 1.0 },
+    scale: { x: getFloat('scaleX') ?? scale, y: getFloat('scaleY') ?? scale },
+    offset: { x: getFloat('offsetX') ?? 0.0, y: getFloat('offsetY') ?? 0.0 },
+    zIndex: Math.round(getFloat('zIndex') ?? 0), // Int or float in Tiled
+    behaviour: properties?.getString('behaviour') ?? config.behaviour ?? null,
+    phase: getFloat('phase') ?? 0,
+  };
+}
+
+// Behaviours
+// ----------
+
+export type TileBehaviourContext = {
+  tileSize: number;
+  flips: TileFlips;
+  /** The tile's custom properties, for behaviour settings */
+  properties: Properties | undefined;
+};
+
+// Animates a placed tile sprite (anchored at its center)
+export type TileBehaviour = (
+  sprite: Sprite,
+  context: TileBehaviourContext,
+) => void;
+
+// Walks back and forth, |patrolDistance| tiles (default 4), a horizontal flip walks left first
+export const patrolBehaviour: TileBehaviour = (
+  sprite,
+  { tileSize, flips, properties },
+) => {
+  const distance = properties?.getFloat('patrolDistance') ?? 4.0;
+  patrol(sprite, tileSize * distance, flips.horizontal ? -1.0 : 1.0);
+};
+
+// Keyed by behaviour name
+export const defaultTileBehaviours: Record<string, TileBehaviour> = {
+  patrol: patrolBehaviour,
+};
@@ -0,0 +1,211 @@
+import type {
+  Level,
+  TileChange,
+  TileChangeListener,
+  WorldBounds,
+} from '@/components/anim-comp/level';
+import type { Rect } from '@/utils/tiled-placement';
+import { intersects } from '@/utils/rect';
+import type { WorldMap } from '@/utils/tiled-worlds';
+
+// World streaming
+// ---------------
+// Keeps the maps of a Tiled world near the view loaded, each as its own level at its world offset.
+// - Maps load once within |loadMargin| of the view, and unload once further than twice that.
+// - Tile changes are kept while a map is unloaded and reapplied when it loads again.
+// - Single map levels aren't streamed, the map is always loaded and contains every point.
+
+export type WorldOptions = {
+  maps: WorldMap[];
+  /** Whether maps load and unload with the view */
+  stream: boolean;
+  /** Distance beyond the view to load maps within (in pixels) */
+  loadMargin: number;
+  /** Builds the map's level, positioned at the map's world offset */
+  createMapLevel: (map: WorldMap) => Promise<Level>;
+};
+
+export type World = {
+  maps: WorldMap[];
+  stream: boolean;
+  /** Loads and unloads maps around the view (in world pixels), resolves once the nearby maps have loaded */
+  update: (view: Rect) => Promise<void>;
+  /** The map's level, if loaded */
+  getLevel: (map: WorldMap) => Level | undefined;
+  /** Levels of the loaded maps */
+  getLoadedLevels: () => Level[];
+  /** The map containing the point in world pixels */
+  getMapAt: (x: number, y: number) => WorldMap | undefined;
+  /** Bounds of all the maps (of the loaded level for single map levels) */
+  getBounds: () => WorldBounds;
+  /** Called after every tile change in a loaded map, with the map's own tile coordinates */
+  onTileChange: (listener: TileChangeListener) => () => void;
+  destroy: () => void;
+};
+
+type MapState = {
+  map: WorldMap;
+  level: Level | null;
+  loading: Promise<void> | null;
+  /** Stale loads are discarded */
+  loadCount: number;
+  /** Not retried until unloaded */
+  failed: boolean;
+  /** Keyed by layer and cell */
+  edits: Map<string, TileChange>;
+};
+
+function expandRect(rect: Rect, margin: number): Rect {
+  return {
+    x: rect.x - margin,
+    y: rect.y - margin,
+    width: rect.width + margin * 2,
+    height: rect.height + margin * 2,
+  };
+}
+
+export function createWorld({
+  maps,
+  stream,
+  loadMargin,
+  createMapLevel,
+}: WorldOptions): World {
+  const states: MapState[] = maps.map((map) => ({
+    map,
+    level: null,
+    loading: null,
+    loadCount: 0,
+    failed: false,
+    edits: new Map(),
+  }));
+  const tileChangeListeners: TileChangeListener[] = [];
+  let destroyed = false;
+
+  function onMapTileChange(state: MapState, change: TileChange) {
+    state.edits.set(`${change.layer}|${change.col},${change.row}`, change);
+    for (const listener of [...tileChangeListeners]) {
+      listener(change);
+    }
+  }
+
+  function load(state: MapState) {
+    if (state.level || state.failed) {
+      return Promise.resolve();
+    }
+    if (state.loading) {
+      return state.loading;
+    }
+    const loadCount = ++state.loadCount;
+    state.loading = createMapLevel(state.map)
+      .then((level) => {
+        if (destroyed || loadCount !== state.loadCount) {
+          level.destroy(); // Unloaded while loading
+          return;
+        }
+        for (const { layer, col, row, gid } of state.edits.values()) {
+          level.setTile(layer, col, row, gid);
+        }
+        level.onTileChange((change) => onMapTileChange(state, change));
+        state.level = level;
+      })
+      .catch((err) => {
+        if (loadCount === state.loadCount) {
+          state.failed = true;
+          console.error(`Failed to load map ${state.map.map}`, err);
+        }
+        throw err;
+      })
+      .finally(() => {
+        if (loadCount === state.loadCount) {
+          state.loading = null;
+        }
+      });
+    return state.loading;
+  }
+
+  function unload(state: MapState) {
+    state.loadCount++;
+    state.loading = null;
+    state.failed = false;
+    state.level?.destroy();
+    state.level = null;
+  }
+
+  async function update(view: Rect) {
+    if (destroyed) {
+      return;
+    }
+    const loadRect = expandRect(view, loadMargin);
+    const keepRect = expandRect(view, loadMargin * 2.0);
+    const loads: Promise<void>[] = [];
+    for (const state of states) {
+      if (!stream || intersects(loadRect, state.map)) {
+        loads.push(load(state));
+      } else if (!intersects(keepRect, state.map)) {
+        unload(state);
+      }
+    }
+    await Promise.all(loads);
+  }
+
+  function getLevel(map: WorldMap) {
+    return states.find((state) => state.map === map)?.level ?? undefined;
+  }
+
+  function getLoadedLevels() {
+    return states.flatMap((state) => (state.level ? [state.level] : []));
+  }
+
+  function getMapAt(x: number, y: number) {
+    if (!stream) {
+      return maps[0];
+    }
+    return maps.find(
+      (map) =>
+        x >= map.x &&
+        x < map.x + map.width &&
+        y >= map.y &&
+        y < map.y + map.height,
+    );
+  }
+
+  function getBounds(): WorldBounds {
+    if (!stream) {
+      const bounds = states[0].level?.worldBounds;
+      return bounds ? { ...bounds } : { x: 0, y: 0, width: 0, height: 0 };
+    }
+    const left = Math.min(...maps.map((map) => map.x));
+    const top = Math.min(...maps.map((map) => map.y));
+    const right = Math.max(...maps.map((map) => map.x + map.width));
+    const bottom = Math.max(...maps.map((map) => map.y + map.height));
+    return { x: left, y: top, width: right - left, height: bottom - top };
+  }
+
+  function onTileChange(listener: TileChangeListener) {
+    tileChangeListeners.push(listener);
+    return () => {
+      const index = tileChangeListeners.indexOf(listener);
+      if (index >= 0) {
+        tileChangeListeners.splice(index, 1);
+      }
+    };
+  }
+
+  function destroy() {
+    destroyed = true;
+    states.forEach(unload);
+    tileChangeListeners.length = 0;
+  }
+
+  return {
+    maps,
+    stream,
+    update,
+    getLevel,
+    getLoadedLevels,
+    getMapAt,
+    getBounds,
+    onTileChange,
+    destroy,
+  };
+}
@@ -0,0 +1,34 @@
+// Level manifest
+// --------------
+// Lists the game's levels in play order. Written as `tilemaps/levels.json` and compiled
+// by the Tiled maps plugin to `maps/levels.json`.
+
+/** As written in `tilemaps/levels.json` */
+export type LevelManifestSource = {
+  levels: {
+    /** Defaults to the map's file name without the extension */
+    id?: string;
+    /** Display name, defaults to the id */
+    name?: string;
+    /** The .tmx or .world file, relative to the manifest */
+    map: string;
+    /** Overrides the map's background color (#RRGGBB or #AARRGGBB) */
+    background?: string;
+    /** Color around the canvas, defaults to the background color */
+    letterbox?: string;
+  }[];
+};
+
+export type LevelEntry = {
+  id: string;
+  name: string;
+  /** The compiled map or world, eg. `maps/level1.json` or `maps/overworld.world` */
+  map: string;
+  background?: string;
+  letterbox?: string;
+};
+
+/** As compiled to `maps/levels.json` */
+export type LevelManifest = {
+  levels: LevelEntry[];
+};
@@ -29,10 +29,12 @@ export type TileMap = {
   version: string;
   type: 'map';
   layers: TileLayer[];
-  tilesets: TileSet[];
+  tilesets: (TileSet | TileSetReference)[];
 } & TileMapOptional;
 
 type TileMapOptional = {
+  /** right-down (the default), right-up, left-down or left-up (currently only supported for orthogonal maps) */
+  renderorder?: 'right-down' | 'right-up' | 'left-down' | 'left-up';
   /** x or y (staggered / hexagonal maps only) */
   staggeraxis?: 'x' | 'y';
   /** odd or even (staggered / hexagonal maps only) */
@@ -41,12 +43,18 @@ type TileMapOptional = {
   hexsidelength?: number;
   /** Hex-formatted color (#RRGGBB or #AARRGGBB) (optional) */
   backgroundcolor?: string;
+  /** X coordinate of the parallax origin in pixels (default: 0) */
+  parallaxoriginx?: number;
+  /** Y coordinate of the parallax origin in pixels (default: 0) */
+  parallaxoriginy?: number;
+  /** Array of Properties */
+  properties?: TileProperty[];
 };
 
 // Layers
 // ------
 
-type TileLayer = {
+export type TileLayer = {
   /** Row count. Same as map height for fixed-size maps. tilelayer only. */
   height?: number;
   /** Column count. Same as map width for fixed-size maps. tilelayer only. */
@@ -56,7 +64,7 @@ type TileLayer = {
   /** Name assigned to this layer */
   name: string;
   /** Value between 0 and 1 */
-  opacity: 0.44;
+  opacity: number;
   type: 'tilelayer' | 'objectgroup' | 'imagelayer' | 'group';
   /** Whether layer is shown or hidden in editor */
   visible: boolean;
@@ -64,9 +72,50 @@ type TileLayer = {
   x: 0;
   /** Vertical layer offset in tiles. Always 0. */
   y: 0;
+  /** Horizontal layer offset in pixels (default: 0) */
+  offsetx?: number;
+  /** Vertical layer offset in pixels (default: 0) */
+  offsety?: number;
+  /** Horizontal parallax factor for this layer (default: 1) */
+  parallaxx?: number;
+  /** Vertical parallax factor for this layer (default: 1) */
+  parallaxy?: number;
+  /** Hex-formatted tint color (#RRGGBB or #AARRGGBB) that is multiplied with any graphics drawn by this layer or any child layers (optional). */
+  tintcolor?: string;
+  /** Blend mode used when drawing the layer (default: normal) (since Tiled 1.12) */
+  mode?: TileLayerBlendMode;
   /** Array of unsigned int (GIDs) or base64-encoded data. tilelayer only. */
-  data?: number[];
-} & TileLayerInfinite;
+  data?: number[] | string;
+  /** csv (default) or base64. tilelayer only. */
+  encoding?: TileDataEncoding;
+  /** zlib, gzip, zstd or empty (default). tilelayer only. */
+  compression?: TileDataCompression;
+  /** Array of layers. group only. */
+  layers?: TileLayer[];
+  /** Array of Properties */
+  properties?: TileProperty[];
+} & TileLayerInfinite &
+  TileLayerObjectGroup &
+  TileLayerImage;
+
+export type TileLayerBlendMode =
+  | 'normal'
+  | 'add'
+  | 'multiply'
+  | 'screen'
+  | 'overlay'
+  | 'darken'
+  | 'lighten'
+  | 'color-dodge'
+  | 'color-burn'
+  | 'hard-light'
+  | 'soft-light'
+  | 'difference'
+  | 'exclusion';
+
+export type TileDataEncoding = 'csv' | 'base64';
+
+export type TileDataCompression = 'zlib' | 'gzip' | 'zstd' | '';
 
 type TileLayerInfinite = {
   /** X coordinate where layer content starts (for infinite maps) */
@@ -77,7 +126,7 @@ type TileLayerInfinite = {
   chunks?: TileLayerChunk[];
 };
 
-type TileLayerChunk = {
+export type TileLayerChunk = {
   /** Height in tiles */
   height: number;
   /** Width in tiles */
@@ -87,13 +136,81 @@ type TileLayerChunk = {
   /** Y coordinate in tiles */
   y: number;
   /** Array of unsigned int (GIDs) or base64-encoded data */
-  data: number[];
+  data: number[] | string;
+};
+
+type TileLayerObjectGroup = {
+  /** topdown (default) or index. objectgroup only. */
+  draworder?: 'topdown' | 'index';
+  /** Array of objects. objectgroup only. */
+  objects?: TileMapObject[];
+};
+
+type TileLayerImage = {
+  /** Image used by this layer. imagelayer only. */
+  image?: string;
+  /** Width of the image used by this layer. imagelayer only. */
+  imagewidth?: number;
+  /** Height of the image used by this layer. imagelayer only. */
+  imageheight?: number;
+  /** Whether the image drawn by this layer is repeated along the X axis. imagelayer only. */
+  repeatx?: boolean;
+  /** Whether the image drawn by this layer is repeated along the Y axis. imagelayer only. */
+  repeaty?: boolean;
+  /** Hex-formatted color (#RRGGBB) (optional). imagelayer only. */
+  transparentcolor?: string;
+};
+
+// Objects
+// -------
+
+export type TileMapObject = {
+  /** Incremental ID, unique across all objects */
+  id: number;
+  /** String assigned to name field in editor */
+  name: string;
+  /** String assigned to class field in editor (saved as `class` by Tiled 1.9, `type` otherwise) */
+  type?: string;
+  class?: string;
+  /** X coordinate in pixels */
+  x: number;
+  /** Y coordinate in pixels */
+  y: number;
+  /** Width in pixels. */
+  width: number;
+  /** Height in pixels. */
+  height: number;
+  /** Angle in degrees clockwise */
+  rotation: number;
+  /** Whether object is shown in editor. */
+  visible: boolean;
+  /** Global tile ID, only if object represents a tile */
+  gid?: number;
+  /** Used to mark an object as a point */
+  point?: boolean;
+  /** Used to mark an object as an ellipse */
+  ellipse?: boolean;
+  /** Array of Points, in case the object is a polygon */
+  polygon?: TileMapPoint[];
+  /** Array of Points, in case the object is a polyline */
+  polyline?: TileMapPoint[];
+  /** Only used for text objects */
+  text?: { text: string; wrap?: boolean };
+  /** Reference to a template file, in case object is a template instance */
+  template?: string;
+  /** Array of Properties */
+  properties?: TileProperty[];
+};
+
+export type TileMapPoint = {
+  x: number;
+  y: number;
 };
 
 // Tile sets
 // ---------
 
-type TileSet = {
+export type TileSet = {
   /** The number of tile columns in the tileset */
   columns: number;
   /** GID corresponding to the first tile in the set */
@@ -105,7 +222,7 @@ type TileSet = {
   /** Name given to this tileset */
   name: string;
   /** Spacing between adjacent tiles in image (pixels) */
-  spacing: 0;
+  spacing: number;
   /** The number of tiles in this tileset */
   tilecount: number;
   /** Maximum width of tiles in this set */
@@ -114,8 +231,47 @@ type TileSet = {
   tileheight: number;
   /** Array of Tiles (optional) */
   tiles?: Tile[];
+  /** Array of Properties */
+  properties?: TileProperty[];
+  /** Image used for tiles in this set (single image tilesets only) */
+  image?: string;
+  /** Width of source image in pixels */
+  imagewidth?: number;
+  /** Height of source image in pixels */
+  imageheight?: number;
+  /** Offset in pixels, applied when drawing a tile from this tileset */
+  tileoffset?: { x: number; y: number };
+  /** Alignment to use for tile objects (unspecified (default), topleft, top, topright, left, center, right, bottomleft, bottom or bottomright) */
+  objectalignment?: TileObjectAlignment;
+  /** The size to use when rendering tiles from this tileset on a tile layer: tile (default) or grid */
+  tilerendersize?: 'tile' | 'grid';
+  /** The fill mode to use when rendering tiles at the grid size: stretch (default) or preserve-aspect-fit */
+  fillmode?: 'stretch' | 'preserve-aspect-fit';
+};
+
+export type TileObjectAlignment =
+  | 'unspecified'
+  | 'topleft'
+  | 'top'
+  | 'topright'
+  | 'left'
+  | 'center'
+  | 'right'
+  | 'bottomleft'
+  | 'bottom'
+  | 'bottomright';
+
+/** A tileset stored in an external .tsj / .tsx file, referenced from the map */
+export type TileSetReference = {
+  /** GID corresponding to the first tile in the set */
+  firstgid: number;
+  /** The external file that contains this tileset's data, relative to the map */
+  source: string;
 };
 
+/** The contents of an external tileset file */
+export type ExternalTileSet = Omit<TileSet, 'firstgid'> & { type?: 'tileset' };
+
 type TileSetGrid = {
   /** Cell width of tile grid */
   width: number;
@@ -125,13 +281,86 @@ type TileSetGrid = {
   orientation: 'orthogonal' | 'isometric';
 };
 
-type Tile = {
+export type Tile = {
   /** Local ID of the tile */
   id: number;
   /** Image representing this tile (optional, used for image collection tilesets) */
-  image: string;
+  image?: string;
   /** Width of the tile image in pixels */
-  imagewidth: number;
+  imagewidth?: number;
   /** Height of the tile image in pixels */
-  imageheight: number;
+  imageheight?: number;
+  /** The class of the tile (saved as `class` by Tiled 1.9, `type` otherwise) */
+  type?: string;
+  /** Array of Frames (optional) */
+  animation?: TileFrame[];
+  /** Array of Properties */
+  properties?: TileProperty[];
+};
+
+export type TileFrame = {
+  /** Local tile ID representing this frame */
+  tileid: number;
+  /** Frame duration in milliseconds */
+  duration: number;
+};
+
+// Properties
+// ----------
+
+export type TilePropertyType =
+  | 'string'
+  | 'int'
+  | 'float'
+  | 'bool'
+  | 'color'
+  | 'file'
+  | 'object'
+  | 'class';
+
+export type TileProperty = {
+  /** Name of the property */
+  name: string;
+  /** Type of the property (default: string) */
+  type?: TilePropertyType;
+  /** Name of the custom property type, when applicable (since 1.8) */
+  propertytype?: string;
+  /** Value of the property */
+  value: unknown;
+};
+
+// Worlds
+// ------
+// Reference: https://doc.mapeditor.org/en/stable/manual/worlds/
+
+export type TileWorld = {
+  type: 'world';
+  /** Maps placed individually */
+  maps?: TileWorldMap[];
+  /** Maps in the world's folder placed by the numbers in their file names */
+  patterns?: TileWorldPattern[];
+  /** Editor only, whether only maps next to the current one are shown */
+  onlyShowAdjacentMaps?: boolean;
+};
+
+export type TileWorldMap = {
+  /** Relative to the world file */
+  fileName: string;
+  /** Top left of the map, in world pixels */
+  x: number;
+  y: number;
+  width: number;
+  height: number;
+};
+
+export type TileWorldPattern = {
+  /** Matched against file names, the first two captures are the map's x and y numbers */
+  regexp: string;
+  multiplierX: number;
+  multiplierY: number;
+  offsetX: number;
+  offsetY: number;
+  /** Size of the matched maps in pixels (default to the multipliers) */
+  mapWidth?: number;
+  mapHeight?: number;
 };
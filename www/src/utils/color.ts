@@ -0,0 +1,30 @@
+// Parses a Tiled hex color (#RRGGBB or #AARRGGBB) into a Pixi color number and alpha.
+export function parseTiledColor(hex: string): { color: number; alpha: number } {
+  const value = hex.replace(/^#/, '');
+  if (!/^([0-9a-f]{6}|[0-9a-f]{8})$/i.test(value)) {
+    throw Error(`Invalid color: ${hex}`);
+  }
+  if (value.length === 8) {
+    return {
+      color: parseInt(value.substring(2), 16),
+      alpha: parseInt(value.substring(0, 2), 16) / 255,
+    };
+  }
+  return { color: parseInt(value, 16), alpha: 1.0 };
+}
+
+// Blends two Pixi color numbers channel by channel, |t| from 0.0 (|from|) to 1.0 (|to|).
+export function mixColors(from: number, to: number, t: number): number {
+  let color = 0;
+  for (const shift of [16, 8, 0]) {
+    const a = (from >> shift) & 0xff;
+    const b = (to >> shift) & 0xff;
+    color |= Math.round(a + (b - a) * t) << shift;
+  }
+  return color;
+}
+
+// CSS color for a Pixi color number and alpha, eg. (0xff0000, 0.5) => 'rgba(255, 0, 0, 0.5)'
+export function toCssColor(color: number, alpha: number = 1.0) {
+  return `rgba(${(color >> 16) & 0xff}, ${(color >> 8) & 0xff}, ${color & 0xff}, ${alpha})`;
+}
@@ -0,0 +1,30 @@
+import type { LevelEntry, LevelManifest } from '@/types/level.types';
+
+// Loads the compiled level manifest (see the Tiled maps plugin)
+export async function loadLevelManifest(path: string): Promise<LevelManifest> {
+  const response = await fetch(path);
+  if (!response.ok) {
+    throw Error(`Failed to load level manifest ${path} (${response.status})`);
+  }
+  const manifest = (await response.json()) as LevelManifest;
+  if (manifest.levels.length === 0) {
+    throw Error(`Level manifest ${path} has no levels`);
+  }
+  return manifest;
+}
+
+export function getLevelEntry(manifest: LevelManifest, id: string) {
+  const entry = manifest.levels.find((level) => level.id === id);
+  if (!entry) {
+    throw Error(`Level not found ${id}`);
+  }
+  return entry;
+}
+
+// The level after |entry| in play order, if any
+export function getNextLevelEntry(
+  manifest: LevelManifest,
+  entry: LevelEntry,
+): LevelEntry | undefined {
+  return manifest.levels[manifest.levels.indexOf(entry) + 1];
+}
@@ -0,0 +1,32 @@
+// Resolves a |path| relative to the directory of |fromFile|, the way Tiled stores file references.
+// Eg. ('maps/level1.json', '../img/sky.png') => 'img/sky.png'
+// Absolute paths and URLs are returned as-is.
+export function resolveRelativePath(fromFile: string, path: string) {
+  if (path.startsWith('/') || /^[a-z][a-z0-9+.-]*:/i.test(path)) {
+    return path;
+  }
+  const parts = fromFile.split('/');
+  parts.pop(); // Filename
+  for (const part of path.split('/')) {
+    if (part === '..') {
+      if (parts.length > 0 && parts[parts.length - 1] !== '..') {
+        parts.pop();
+      } else {
+        parts.push(part);
+      }
+    } else if (part !== '.' && part !== '') {
+      parts.push(part);
+    }
+  }
+  return parts.join('/');
+}
+
+// Spritesheet frame name for an image exported from the art folder, the parent folder and filename
+// without the extension. Eg. '../art/output/tiles.psd/block.png' => 'tiles.psd/block'
+export function getTextureName(imagePath: string) {
+  const parts = imagePath.split('/');
+  const filename = parts[parts.length - 1];
+  const dot = filename.lastIndexOf('.');
+  const name = dot > 0 ? filename.substring(0, dot) : filename;
+  return parts.length > 1 ? `${parts[parts.length - 2]}/${name}` : name;
+}
@@ -1,4 +1,5 @@
 import { ContainerChild, Point } from 'pixi.js';
+import type { TileFlips } from '@/utils/tiled-gid';
 
 export function distance(ptA: Point, ptB: Point): number {
   const dx = ptA.x - ptB.x;
@@ -12,3 +13,39 @@ export function bringToFront(displayObject: ContainerChild) {
     displayObject.parent.children.length - 1,
   );
 }
+
+// Applies Tiled tile flips as a rotation and scale (preserving the current scale magnitude).
+// - Expects the display object to be anchored at its center, so the flips don't move its bounds.
+// - A diagonal flip swaps the x and y axes, which is a 90° rotation and a vertical flip.
+export function applyTileFlips(
+  displayObject: ContainerChild,
+  flips: TileFlips,
+) {
+  const scaleX = Math.abs(displayObject.scale.x);
+  const scaleY = Math.abs(displayObject.scale.y);
+  const h = flips.horizontal ? -1 : 1;
+  const v = flips.vertical ? -1 : 1;
+  if (flips.diagonal) {
+    displayObject.rotation = Math.PI * 0.5;
+    displayObject.scale.set(scaleX * v, scaleY * -h);
+  } else {
+    displayObject.rotation = 0;
+    displayObject.scale.set(scaleX * h, scaleY * v);
+  }
+}
+
+// Hexagonal maps reuse the diagonal flag as a 60° rotation, with an extra flag for 120°.
+// - Expects the display object to be anchored at its center, like |applyTileFlips|.
+export function applyHexTileFlips(
+  displayObject: ContainerChild,
+  flips: TileFlips,
+  rotatedHex120: boolean,
+) {
+  const scaleX = Math.abs(displayObject.scale.x);
+  const scaleY = Math.abs(displayObject.scale.y);
+  displayObject.scale.set(
+    scaleX * (flips.horizontal ? -1 : 1),
+    scaleY * (flips.vertical ? -1 : 1),
+  );
+  displayObject.angle = (flips.diagonal ? 60 : 0) + (rotatedHex120 ? 120 : 0);
+}
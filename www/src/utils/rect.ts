@@ -0,0 +1,11 @@
+import type { Rect } from '@/utils/tiled-placement';
+
+// True when the rects overlap, rects that only share an edge don't
+export function intersects(a: Rect, b: Rect) {
+  return (
+    a.x < b.x + b.width &&
+    b.x < a.x + a.width &&
+    a.y < b.y + b.height &&
+    b.y < a.y + a.height
+  );
+}
@@ -0,0 +1,112 @@
+import { decompress as zstdDecompress } from 'fzstd';
+import type { TileDataCompression, TileDataEncoding } from '@/types/tile.types';
+
+// Tiled tile layer data decoding
+// Reference: https://doc.mapeditor.org/en/stable/reference/tmx-map-format/#data
+
+const SUPPORTED_COMPRESSIONS: TileDataCompression[] = ['zlib', 'gzip', 'zstd'];
+
+/**
+ * Decodes Tiled tile layer (or chunk) data into an array of GIDs.
+ * - JSON maps saved with csv encoding already hold a plain array and are returned as-is.
+ * - base64 data is decoded to little-endian unsigned 32 bit GIDs, decompressing first if required.
+ * @param {number[] | string} data - The layer `data` value.
+ * @param {string} [encoding] - The layer `encoding` value ('csv' or 'base64').
+ * @param {string} [compression] - The layer `compression` value ('zlib', 'gzip', 'zstd' or empty).
+ * @param {number} [expectedLength] - If set, will throw if the decoded GID count differs.
+ * @returns {Promise<number[]>} gids - The decoded GIDs, including any flip flag bits.
+ */
+export async function decodeTileData(
+  data: number[] | string,
+  encoding?: TileDataEncoding,
+  compression?: TileDataCompression,
+  expectedLength?: number,
+): Promise<number[]> {
+  let gids: number[];
+
+  if (Array.isArray(data)) {
+    gids = data;
+  } else if (!encoding || encoding === 'csv') {
+    // Tiled JSON never stores csv as a string though TMX does
+    gids = decodeCsv(data);
+  } else if (encoding === 'base64') {
+    if (compression && !SUPPORTED_COMPRESSIONS.includes(compression)) {
+      throw Error(`Unsupported tile data compression: ${compression}`);
+    }
+    const bytes = await decompress(decodeBase64(data), compression);
+    if (bytes.byteLength % 4 !== 0) {
+      throw Error(
+        `Tile data byte length (${bytes.byteLength}) is not a multiple of 4`,
+      );
+    }
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    gids = new Array(bytes.byteLength / 4);
+    for (let i = 0; i < gids.length; i++) {
+      gids[i] = view.getUint32(i * 4, true);
+    }
+  } else {
+    throw Error(`Unsupported tile data encoding: ${encoding}`);
+  }
+
+  if (expectedLength !== undefined && gids.length !== expectedLength) {
+    throw Error(
+      `Tile data has ${gids.length} tiles, expected ${expectedLength}`,
+    );
+  }
+
+  return gids;
+}
+
+function decodeCsv(csv: string): number[] {
+  const gids: number[] = [];
+  for (const value of csv.split(',')) {
+    const trimmed = value.trim();
+    if (trimmed.length === 0) {
+      continue; // Allow trailing commas / new lines
+    }
+    const gid = Number(trimmed);
+    if (!Number.isInteger(gid) || gid < 0) {
+      throw Error(`Invalid csv tile data value: ${trimmed}`);
+    }
+    gids.push(gid);
+  }
+  return gids;
+}
+
+function decodeBase64(base64: string): Uint8Array {
+  const binary = atob(base64.trim());
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+async function decompress(
+  bytes: Uint8Array,
+  compression?: TileDataCompression,
+): Promise<Uint8Array> {
+  switch (compression) {
+    case undefined:
+    case '':
+      return bytes;
+    case 'zlib':
+      return decompressStream(bytes, 'deflate');
+    case 'gzip':
+      return decompressStream(bytes, 'gzip');
+    case 'zstd':
+      return zstdDecompress(bytes);
+    default:
+      throw Error(`Unsupported tile data compression: ${compression}`);
+  }
+}
+
+async function decompressStream(
+  bytes: Uint8Array,
+  format: 'deflate' | 'gzip',
+): Promise<Uint8Array> {
+  const stream = new Blob([bytes])
+    .stream()
+    .pipeThrough(new DecompressionStream(format));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
@@ -0,0 +1,39 @@
+// Tiled stores tile flips in the highest bits of each GID
+// Reference: https://doc.mapeditor.org/en/stable/reference/global-tile-ids/
+
+export const FLIPPED_HORIZONTALLY_FLAG = 0x80000000;
+export const FLIPPED_VERTICALLY_FLAG = 0x40000000;
+export const FLIPPED_DIAGONALLY_FLAG = 0x20000000;
+export const ROTATED_HEXAGONAL_120_FLAG = 0x10000000; // Hexagonal maps only
+
+const FLAGS_MASK = 0x0fffffff;
+
+export type TileFlips = {
+  horizontal: boolean;
+  vertical: boolean;
+  /** Swaps the x and y axes, applied before the horizontal and vertical flips */
+  diagonal: boolean;
+};
+
+export type ParsedGid = {
+  /** The GID with all flag bits cleared */
+  gid: number;
+  flips: TileFlips;
+  /** Whether any flip is applied */
+  flipped: boolean;
+  rotatedHex120: boolean;
+};
+
+export function parseGid(rawGid: number): ParsedGid {
+  const flips = {
+    horizontal: (rawGid & FLIPPED_HORIZONTALLY_FLAG) !== 0,
+    vertical: (rawGid & FLIPPED_VERTICALLY_FLAG) !== 0,
+    diagonal: (rawGid & FLIPPED_DIAGONALLY_FLAG) !== 0,
+  };
+  return {
+    gid: rawGid & FLAGS_MASK,
+    flips,
+    flipped: flips.horizontal || flips.vertical || flips.diagonal,
+    rotatedHex120: (rawGid & ROTATED_HEXAGONAL_120_FLAG) !== 0,
+  };
+}
@@ -0,0 +1,99 @@
+import type { TileLayer, TileMap } from '@/types/tile.types';
+import { decodeTileData } from '@/utils/tiled-data';
+import { resolveRelativePath } from '@/utils/path';
+import { resolveTilesets } from '@/utils/tiled-tilesets';
+import { parseTmx } from '@/utils/tiled-xml';
+
+// Loads a Tiled map, either a .tmx (XML) or a .tmj / .json export
+export async function loadTileMap(path: string): Promise<TileMap> {
+  const response = await fetch(path);
+  if (!response.ok) {
+    throw Error(`Failed to load map ${path} (${response.status})`);
+  }
+  if (/\.(tmx|xml)$/i.test(path)) {
+    return parseTmx(await response.text());
+  }
+  return (await response.json()) as TileMap;
+}
+
+// Lists the images used by a map, to load ahead of time so building it doesn't wait on them.
+// Images are cached by the asset loader, external tilesets by |loadExternalTileset|.
+export async function getTileMapAssets(
+  tilemap: TileMap,
+  mapPath: string,
+): Promise<string[]> {
+  const tilesets = await resolveTilesets(tilemap, mapPath);
+  const images = tilesets.flatMap((tileset) =>
+    tileset.image
+      ? [resolveRelativePath(tileset.sourcePath ?? mapPath, tileset.image)]
+      : [],
+  );
+  const collectImages = (layers: TileLayer[]) => {
+    for (const layer of layers) {
+      if (layer.type === 'imagelayer' && layer.image) {
+        images.push(resolveRelativePath(mapPath, layer.image));
+      }
+      collectImages(layer.layers ?? []);
+    }
+  };
+  collectImages(tilemap.layers);
+  return images;
+}
+
+/**
+ * Tiles a finite map's tile layers |countX| by |countY| times, for stress testing large levels.
+ * Other layers are kept as they are (objects are only placed once).
+ * @param {TileMap} tilemap - The map to repeat, unchanged.
+ * @param {number} countX - Copies across.
+ * @param {number} countY - Copies down.
+ * @returns {Promise<TileMap>} tilemap - A copy with csv layer data.
+ */
+export async function repeatTileMap(
+  tilemap: TileMap,
+  countX: number,
+  countY: number,
+): Promise<TileMap> {
+  if (tilemap.infinite) {
+    throw Error('Only finite maps can be repeated');
+  }
+  const repeatLayers = (layers: TileLayer[]): Promise<TileLayer[]> =>
+    Promise.all(
+      layers.map(async (layer) => {
+        if (layer.type === 'group') {
+          return { ...layer, layers: await repeatLayers(layer.layers ?? []) };
+        }
+        if (layer.type !== 'tilelayer' || !layer.data) {
+          return layer;
+        }
+        const width = layer.width ?? tilemap.width;
+        const height = layer.height ?? tilemap.height;
+        const gids = await decodeTileData(
+          layer.data,
+          layer.encoding,
+          layer.compression,
+          width * height,
+        );
+        const data: number[] = [];
+        for (let r = 0; r < height * countY; r++) {
+          const row = (r % height) * width;
+          for (let c = 0; c < width * countX; c++) {
+            data.push(gids[row + (c % width)]);
+          }
+        }
+        return {
+          ...layer,
+          width: width * countX,
+          height: height * countY,
+          data,
+          encoding: undefined,
+          compression: undefined,
+        };
+      }),
+    );
+  return {
+    ...tilemap,
+    width: tilemap.width * countX,
+    height: tilemap.height * countY,
+    layers: await repeatLayers(tilemap.layers),
+  };
+}
@@ -0,0 +1,77 @@
+import type { TileMapObject, TileMapPoint } from '@/types/tile.types';
+import { parseGid, type TileFlips } from '@/utils/tiled-gid';
+import { createProperties, type Properties } from '@/utils/tiled-props';
+
+// Typed Tiled objects
+// Reference: https://doc.mapeditor.org/en/stable/reference/json-map-format/#object
+
+type LevelObjectBase = {
+  id: number;
+  name: string;
+  /** The object's class (or type in older Tiled versions), empty if not set */
+  className: string;
+  /** Name of the object layer the object belongs to */
+  layerName: string;
+  /** Position in map pixels. Tile objects are positioned by their bottom left. */
+  x: number;
+  y: number;
+  width: number;
+  height: number;
+  /** Angle in degrees clockwise */
+  rotation: number;
+  visible: boolean;
+  properties: Properties;
+};
+
+export type LevelObject =
+  | (LevelObjectBase & { shape: 'rect' })
+  | (LevelObjectBase & { shape: 'point' })
+  | (LevelObjectBase & { shape: 'ellipse' })
+  | (LevelObjectBase & { shape: 'polygon'; points: TileMapPoint[] })
+  | (LevelObjectBase & { shape: 'polyline'; points: TileMapPoint[] })
+  | (LevelObjectBase & { shape: 'tile'; gid: number; flips: TileFlips })
+  | (LevelObjectBase & { shape: 'text'; text: string });
+
+export type LevelObjectShape = LevelObject['shape'];
+
+// |fromFile| is the map path, to resolve file properties against
+export function parseObject(
+  raw: TileMapObject,
+  layerName: string,
+  fromFile?: string,
+): LevelObject {
+  const base: LevelObjectBase = {
+    id: raw.id,
+    name: raw.name ?? '',
+    className: raw.class ?? raw.type ?? '',
+    layerName,
+    x: raw.x,
+    y: raw.y,
+    width: raw.width ?? 0,
+    height: raw.height ?? 0,
+    rotation: raw.rotation ?? 0,
+    visible: raw.visible ?? true,
+    properties: createProperties(raw.properties, fromFile),
+  };
+
+  if (raw.gid !== undefined) {
+    const { gid, flips } = parseGid(raw.gid);
+    return { ...base, shape: 'tile', gid, flips };
+  }
+  if (raw.point) {
+    return { ...base, shape: 'point' };
+  }
+  if (raw.ellipse) {
+    return { ...base, shape: 'ellipse' };
+  }
+  if (raw.polygon) {
+    return { ...base, shape: 'polygon', points: raw.polygon };
+  }
+  if (raw.polyline) {
+    return { ...base, shape: 'polyline', points: raw.polyline };
+  }
+  if (raw.text) {
+    return { ...base, shape: 'text', text: raw.text.text };
+  }
+  return { ...base, shape: 'rect' };
+}
@@ -0,0 +1,113 @@
+import type { TileMap, TileObjectAlignment, TileSet } from '@/types/tile.types';
+
+// Where Tiled draws tiles, for tiles of any size
+// Reference: https://doc.mapeditor.org/en/stable/reference/tmx-map-format/#tileset
+
+export type Rect = { x: number; y: number; width: number; height: number };
+
+type PlacementTileSet = Pick<
+  TileSet,
+  'tileoffset' | 'objectalignment' | 'tilerendersize' | 'fillmode'
+>;
+
+const ALIGNMENT_ANCHORS: Record<
+  Exclude<TileObjectAlignment, 'unspecified'>,
+  { x: number; y: number }
+> = {
+  topleft: { x: 0.0, y: 0.0 },
+  top: { x: 0.5, y: 0.0 },
+  topright: { x: 1.0, y: 0.0 },
+  left: { x: 0.0, y: 0.5 },
+  center: { x: 0.5, y: 0.5 },
+  right: { x: 1.0, y: 0.5 },
+  bottomleft: { x: 0.0, y: 1.0 },
+  bottom: { x: 0.5, y: 1.0 },
+  bottomright: { x: 1.0, y: 1.0 },
+};
+
+/**
+ * Screen bounds of a tile drawn in a tile layer cell.
+ * - The tile's bottom left sits at the bottom left of the cell (or the point given by |anchor|),
+ *   so tiles larger than the grid extend up and to the right.
+ * - A `tilerendersize` of grid scales the tile to the cell, keeping its aspect ratio (centered)
+ *   with a `fillmode` of preserve-aspect-fit.
+ * - The tileset's `tileoffset` is applied last.
+ * @param {Rect} cell - Bounding box of the cell on screen.
+ * @param {number} width - Displayed tile width (ie. after any diagonal flip swaps the axes).
+ * @param {number} height - Displayed tile height.
+ * @param {PlacementTileSet} tileset - The tile's tileset.
+ * @param {{x: number, y: number}} [anchor] - Point of the tile placed at the same point of the cell.
+ * @returns {Rect} bounds
+ */
+export function getCellTileBounds(
+  cell: Rect,
+  width: number,
+  height: number,
+  tileset: PlacementTileSet,
+  anchor: { x: number; y: number } = { x: 0.0, y: 1.0 },
+): Rect {
+  let w = width;
+  let h = height;
+  let x = cell.x;
+  let y = cell.y;
+  if (tileset.tilerendersize === 'grid') {
+    if (tileset.fillmode === 'preserve-aspect-fit') {
+      const scale = Math.min(cell.width / w, cell.height / h);
+      w *= scale;
+      h *= scale;
+      x += (cell.width - w) * 0.5;
+      y += (cell.height - h) * 0.5;
+    } else {
+      w = cell.width;
+      h = cell.height;
+    }
+  } else {
+    x += anchor.x * (cell.width - w);
+    y += anchor.y * (cell.height - h);
+  }
+  return {
+    x: x + (tileset.tileoffset?.x ?? 0),
+    y: y + (tileset.tileoffset?.y ?? 0),
+    width: w,
+    height: h,
+  };
+}
+
+// Normalized point of a tile object placed at the object's position (and rotated about).
+// Unspecified is bottom left, or bottom center on isometric maps.
+export function getObjectAlignmentAnchor(
+  tileset: PlacementTileSet,
+  orientation: TileMap['orientation'],
+) {
+  const alignment = tileset.objectalignment ?? 'unspecified';
+  if (alignment === 'unspecified') {
+    return orientation === 'isometric'
+      ? ALIGNMENT_ANCHORS.bottom
+      : ALIGNMENT_ANCHORS.bottomleft;
+  }
+  return ALIGNMENT_ANCHORS[alignment];
+}
+
+/**
+ * Bounds of an unrotated tile object, relative to the object's position (its rotation origin).
+ * Tile objects are scaled to the object size, `tilerendersize` doesn't apply.
+ * @param {number} width - Object width.
+ * @param {number} height - Object height.
+ * @param {PlacementTileSet} tileset - The tile's tileset.
+ * @param {string} orientation - Map orientation, for the default alignment.
+ * @returns {Rect} bounds
+ */
+export function getObjectTileBounds(
+  width: number,
+  height: number,
+  tileset: PlacementTileSet,
+  orientation: TileMap['orientation'],
+): Rect {
+  const anchor = getObjectAlignmentAnchor(tileset, orientation);
+  return {
+    x: -anchor.x * width + (tileset.tileoffset?.x ?? 0),
+    y: -anchor.y * height + (tileset.tileoffset?.y ?? 0),
+    width,
+    height,
+  };
+}
@@ -0,0 +1,100 @@
+import { describe, expect, it } from 'vitest';
+import { createMapProjection } from '@/utils/tiled-projection';
+import type { TileMap } from '@/types/tile.types';
+
+type TestMap = Pick<
+  TileMap,
+  | 'orientation'
+  | 'tilewidth'
+  | 'tileheight'
+  | 'width'
+  | 'height'
+  | 'staggeraxis'
+  | 'staggerindex'
+  | 'hexsidelength'
+>;
+
+function createMap(map: Partial<TestMap>): TestMap {
+  return {
+    orientation: 'hexagonal',
+    tilewidth: 32,
+    tileheight: 28,
+    width: 8,
+    height: 8,
+    staggeraxis: 'y',
+    staggerindex: 'odd',
+    hexsidelength: 14,
+    ...map,
+  };
+}
+
+// The tile's outline in screen pixels, clockwise from the middle of its top edge (as Tiled draws it)
+function getTilePolygon(map: TestMap, col: number, row: number) {
+  const { x, y } = createMapProjection(map).tileToScreen(col, row);
+  const tw = map.tilewidth & ~1;
+  const th = map.tileheight & ~1;
+  const side = map.orientation === 'hexagonal' ? (map.hexsidelength ?? 0) : 0;
+  if (map.staggeraxis === 'x') {
+    const sideOffset = (tw - side) / 2;
+    return [
+      [x + sideOffset, y],
+      [x + sideOffset + side, y],
+      [x + tw, y + th / 2],
+      [x + sideOffset + side, y + th],
+      [x + sideOffset, y + th],
+      [x, y + th / 2],
+    ];
+  }
+  const sideOffset = (th - side) / 2;
+  return [
+    [x + tw / 2, y],
+    [x + tw, y + sideOffset],
+    [x + tw, y + sideOffset + side],
+    [x + tw / 2, y + th],
+    [x, y + sideOffset + side],
+    [x, y + sideOffset],
+  ];
+}
+
+// Inside or on the edge of a clockwise convex polygon
+function containsPoint(polygon: number[][], px: number, py: number) {
+  return polygon.every(([ax, ay], i) => {
+    const [bx, by] = polygon[(i + 1) % polygon.length];
+    return (bx - ax) * (py - ay) - (by - ay) * (px - ax) >= -1e-9;
+  });
+}
+
+function findMissedPoints(map: TestMap) {
+  const projection = createMapProjection(map);
+  const missed: { x: number; y: number }[] = [];
+  for (let y = -20; y < 120; y += 0.75) {
+    for (let x = -20; x < 120; x += 0.75) {
+      const { col, row } = projection.screenToTile(x + 0.125, y + 0.125);
+      if (!containsPoint(getTilePolygon(map, col, row), x + 0.125, y + 0.125)) {
+        missed.push({ x: x + 0.125, y: y + 0.125 });
+      }
+    }
+  }
+  return missed;
+}
+
+describe('screenToTile', () => {
+  it('finds the hexagon containing the point', () => {
+    const projection = createMapProjection(createMap({}));
+    expect(projection.screenToTile(60.5, 64.5)).toEqual({ col: 1, row: 2 });
+  });
+
+  it.each([
+    { staggeraxis: 'y', staggerindex: 'odd' },
+    { staggeraxis: 'y', staggerindex: 'even' },
+    { staggeraxis: 'x', staggerindex: 'odd' },
+    { staggeraxis: 'x', staggerindex: 'even' },
+    { staggeraxis: 'y', tilewidth: 28, tileheight: 32, hexsidelength: 16 },
+    { staggeraxis: 'x', tilewidth: 32, tileheight: 28, hexsidelength: 12 },
+    { staggeraxis: 'y', tilewidth: 18, tileheight: 18, hexsidelength: 0 },
+    { orientation: 'staggered', tilewidth: 32, tileheight: 16 },
+    { orientation: 'staggered', staggeraxis: 'x', staggerindex: 'even' },
+  ] as Partial<TestMap>[])('agrees with a polygon hit test on %o', (map) => {
+    expect(findMissedPoints(createMap(map))).toEqual([]);
+  });
+});
@@ -0,0 +1,286 @@
+import type { TileMap } from '@/types/tile.types';
+
+// Converts between Tiled tile coordinates and screen (level) pixels for each map orientation.
+// All screen positions are floored to whole pixels.
+// Reference: https://doc.mapeditor.org/en/stable/manual/projects/#map-orientations
+
+export type ScreenPoint = { x: number; y: number };
+
+export type TilePoint = { col: number; row: number };
+
+export type MapProjection = {
+  orientation: TileMap['orientation'];
+  tileWidth: number;
+  tileHeight: number;
+  /** Top left of the cell's bounding box */
+  tileToScreen: (col: number, row: number) => ScreenPoint;
+  /** The tile containing the screen point */
+  screenToTile: (x: number, y: number) => TilePoint;
+  /** Converts object coordinates (as stored by Tiled, in map pixels) to screen pixels */
+  pixelToScreen: (x: number, y: number) => ScreenPoint;
+  /** Screen bounds of a block of tiles (|right| and |bottom| are exclusive) */
+  tileRectBounds: (
+    left: number,
+    top: number,
+    right: number,
+    bottom: number,
+  ) => { x: number; y: number; width: number; height: number };
+  /** Tiles with a higher depth are drawn in front */
+  depth: (col: number, row: number) => number;
+  /** Tiles sharing an edge with the given tile (6 for hexagonal maps, otherwise 4) */
+  getNeighbours: (col: number, row: number) => TilePoint[];
+};
+
+type ProjectionMap = Pick<
+  TileMap,
+  | 'orientation'
+  | 'tilewidth'
+  | 'tileheight'
+  | 'width'
+  | 'height'
+  | 'staggeraxis'
+  | 'staggerindex'
+  | 'hexsidelength'
+>;
+
+// Depth is ordered by a primary key then the column, supports columns within +/- half the stride
+const DEPTH_STRIDE = 1 << 16;
+
+function createOrthogonalProjection(tilemap: ProjectionMap): MapProjection {
+  const { tilewidth: tw, tileheight: th } = tilemap;
+  return {
+    orientation: 'orthogonal',
+    tileWidth: tw,
+    tileHeight: th,
+    tileToScreen: (col, row) => ({ x: col * tw, y: row * th }),
+    screenToTile: (x, y) => ({
+      col: Math.floor(x / tw),
+      row: Math.floor(y / th),
+    }),
+    pixelToScreen: (x, y) => ({ x, y }),
+    tileRectBounds: (left, top, right, bottom) => ({
+      x: left * tw,
+      y: top * th,
+      width: (right - left) * tw,
+      height: (bottom - top) * th,
+    }),
+    depth: (col, row) => row * DEPTH_STRIDE + col, // Right-down
+    getNeighbours: (col, row) => [
+      { col, row: row - 1 },
+      { col: col + 1, row },
+      { col, row: row + 1 },
+      { col: col - 1, row },
+    ],
+  };
+}
+
+// Isometric (diamond) maps: the map's top corner sits at the top center of its bounds.
+function createIsometricProjection(tilemap: ProjectionMap): MapProjection {
+  const { tilewidth: tw, tileheight: th } = tilemap;
+  const originX = tilemap.height * tw * 0.5;
+
+  // Fractional tile coords to the top corner of the tile's diamond
+  function project(col: number, row: number): ScreenPoint {
+    return {
+      x: Math.floor((col - row) * tw * 0.5 + originX),
+      y: Math.floor((col + row) * th * 0.5),
+    };
+  }
+
+  return {
+    orientation: 'isometric',
+    tileWidth: tw,
+    tileHeight: th,
+    tileToScreen: (col, row) => {
+      const top = project(col, row);
+      return { x: top.x - Math.floor(tw * 0.5), y: top.y };
+    },
+    screenToTile: (x, y) => {
+      const dx = (x - originX) / tw;
+      const dy = y / th;
+      return { col: Math.floor(dy + dx), row: Math.floor(dy - dx) };
+    },
+    // Object coordinates on isometric maps are measured in tile heights along both axes
+    pixelToScreen: (x, y) => project(x / th, y / th),
+    tileRectBounds: (left, top, right, bottom) => {
+      const x = project(left, bottom).x;
+      const y = project(left, top).y;
+      return {
+        x,
+        y,
+        width: project(right, top).x - x,
+        height: project(right, bottom).y - y,
+      };
+    },
+    // Draw each diagonal in turn, back to front
+    depth: (col, row) => (col + row) * DEPTH_STRIDE + col,
+    getNeighbours: (col, row) => [
+      { col, row: row - 1 },
+      { col: col + 1, row },
+      { col, row: row + 1 },
+      { col: col - 1, row },
+    ],
+  };
+}
+
+// Staggered and hexagonal maps, following Tiled's hexagonal renderer.
+// - Staggered maps are hexagonal maps with a side length of 0 (so the tiles are diamonds).
+// - Every other row (stagger axis y) or column (stagger axis x) is shifted by half a tile,
+//   starting with the odd or even ones depending on the stagger index.
+function createHexagonalProjection(tilemap: ProjectionMap): MapProjection {
+  const hexagonal = tilemap.orientation === 'hexagonal';
+  const staggerX = tilemap.staggeraxis === 'x';
+  const staggerEven = tilemap.staggerindex === 'even';
+
+  // Tiled rounds tile dimensions down to even values for these orientations
+  const tw = tilemap.tilewidth & ~1;
+  const th = tilemap.tileheight & ~1;
+  const sideLength = hexagonal ? (tilemap.hexsidelength ?? 0) : 0;
+  const sideLengthX = staggerX ? sideLength : 0;
+  const sideLengthY = staggerX ? 0 : sideLength;
+  const sideOffsetX = (tw - sideLengthX) / 2;
+  const sideOffsetY = (th - sideLengthY) / 2;
+  const columnWidth = sideOffsetX + sideLengthX;
+  const rowHeight = sideOffsetY + sideLengthY;
+
+  // Whether the column / row is shifted along the stagger axis (works for negative indices)
+  function isStaggered(index: number) {
+    return ((index & 1) === 1) !== staggerEven;
+  }
+
+  function tileToScreen(col: number, row: number): ScreenPoint {
+    if (staggerX) {
+      return {
+        x: Math.floor(col * columnWidth),
+        y: Math.floor(
+          row * (th + sideLengthY) + (isStaggered(col) ? rowHeight : 0),
+        ),
+      };
+    }
+    return {
+      x: Math.floor(
+        col * (tw + sideLengthX) + (isStaggered(row) ? columnWidth : 0),
+      ),
+      y: Math.floor(row * rowHeight),
+    };
+  }
+
+  // Distance to the tile center scaled by the tile's shape, 1 on its edge and less inside.
+  // Hexagons have sides of |sideLength| along the stagger axis, their slanted edges run from the
+  // end of a side to the middle of the cell's edge (staggered maps have no sides, so are diamonds).
+  // The point is inside the tile with the lowest distance, exactly, as the tiles don't overlap.
+  function centerDistance(col: number, row: number, x: number, y: number) {
+    const cell = tileToScreen(col, row);
+    const dx = Math.abs(x - (cell.x + tw * 0.5)) / (tw * 0.5);
+    const dy = Math.abs(y - (cell.y + th * 0.5)) / (th * 0.5);
+    return staggerX
+      ? Math.max(dy, dx + (dy * sideOffsetX) / (tw * 0.5))
+      : Math.max(dx, dy + (dx * sideOffsetY) / (th * 0.5));
+  }
+
+  // Shifted rows (or columns) neighbour the next tile along, the others the previous one
+  function getNeighbours(col: number, row: number): TilePoint[] {
+    if (staggerX) {
+      const offset = isStaggered(col) ? 0 : -1;
+      const neighbours = [
+        { col: col + 1, row: row + offset },
+        { col: col + 1, row: row + offset + 1 },
+        { col: col - 1, row: row + offset + 1 },
+        { col: col - 1, row: row + offset },
+      ];
+      if (hexagonal) {
+        neighbours.push({ col, row: row - 1 }, { col, row: row + 1 });
+      }
+      return neighbours;
+    }
+    const offset = isStaggered(row) ? 0 : -1;
+    const neighbours = [
+      { col: col + offset, row: row - 1 },
+      { col: col + offset + 1, row: row - 1 },
+      { col: col + offset + 1, row: row + 1 },
+      { col: col + offset, row: row + 1 },
+    ];
+    if (hexagonal) {
+      neighbours.push({ col: col - 1, row }, { col: col + 1, row });
+    }
+    return neighbours;
+  }
+
+  return {
+    orientation: tilemap.orientation,
+    tileWidth: tw,
+    tileHeight: th,
+    tileToScreen,
+    screenToTile: (x, y) => {
+      // Estimate ignoring the stagger, then find the tile around it containing the point
+      const estimate = staggerX
+        ? {
+            col: Math.floor(x / columnWidth),
+            row: Math.floor(y / (th + sideLengthY)),
+          }
+        : {
+            col: Math.floor(x / (tw + sideLengthX)),
+            row: Math.floor(y / rowHeight),
+          };
+      let nearest = estimate;
+      let minDistance = Infinity;
+      for (let dr = -1; dr <= 1; dr++) {
+        for (let dc = -1; dc <= 1; dc++) {
+          const col = estimate.col + dc;
+          const row = estimate.row + dr;
+          const distance = centerDistance(col, row, x, y);
+          if (distance < minDistance) {
+            minDistance = distance;
+            nearest = { col, row };
+          }
+        }
+      }
+      return nearest;
+    },
+    pixelToScreen: (x, y) => ({ x, y }),
+    tileRectBounds: (left, top, right, bottom) => {
+      if (right <= left || bottom <= top) {
+        const cell = tileToScreen(left, top);
+        return { x: cell.x, y: cell.y, width: 0, height: 0 };
+      }
+      // The outer two rows and columns cover both stagger offsets
+      let minX = Infinity;
+      let minY = Infinity;
+      let maxX = -Infinity;
+      let maxY = -Infinity;
+      for (const col of [left, left + 1, right - 2, right - 1]) {
+        for (const row of [top, top + 1, bottom - 2, bottom - 1]) {
+          if (col < left || col >= right || row < top || row >= bottom) {
+            continue;
+          }
+          const cell = tileToScreen(col, row);
+          minX = Math.min(minX, cell.x);
+          minY = Math.min(minY, cell.y);
+          maxX = Math.max(maxX, cell.x + tw);
+          maxY = Math.max(maxY, cell.y + th);
+        }
+      }
+      return { x: minX, y: minY, width: maxX - minX, height: maxY - minY };
+    },
+    // Rows are drawn top to bottom, for a stagger x axis the raised columns of each row first
+    depth: (col, row) =>
+      staggerX
+        ? (row * 2 + (isStaggered(col) ? 1 : 0)) * DEPTH_STRIDE + col
+        : row * DEPTH_STRIDE + col,
+    getNeighbours,
+  };
+}
+
+export function createMapProjection(tilemap: ProjectionMap): MapProjection {
+  switch (tilemap.orientation) {
+    case 'orthogonal':
+      return createOrthogonalProjection(tilemap);
+    case 'isometric':
+      return createIsometricProjection(tilemap);
+    case 'staggered':
+    case 'hexagonal':
+      return createHexagonalProjection(tilemap);
+    default:
+      throw Error(`Unsupported map orientation: ${tilemap.orientation}`);
+  }
+}
@@ -0,0 +1,130 @@
+import type { TileProperty, TilePropertyType } from '@/types/tile.types';
+import { parseTiledColor } from '@/utils/color';
+import { resolveRelativePath } from '@/utils/path';
+
+// Tiled custom properties
+// Reference: https://doc.mapeditor.org/en/stable/reference/json-map-format/#property
+
+export type PropertyColor = { color: number; alpha: number };
+
+export type PropertyValue =
+  | string
+  | number
+  | boolean
+  | PropertyColor
+  | Record<string, unknown>;
+
+type ParsedProperty = {
+  type: TilePropertyType;
+  /** Custom type name for class and enum properties */
+  propertyType?: string;
+  value: PropertyValue | null;
+};
+
+export type Properties = {
+  has: (name: string) => boolean;
+  names: () => string[];
+  /** The custom type name of a class or enum property */
+  getPropertyType: (name: string) => string | undefined;
+  // Typed getters return |fallback| if the property isn't set, and throw if it's of another type
+  getString: (name: string, fallback?: string) => string | undefined;
+  getInt: (name: string, fallback?: number) => number | undefined;
+  /** Also accepts int properties */
+  getFloat: (name: string, fallback?: number) => number | undefined;
+  getBool: (name: string, fallback?: boolean) => boolean | undefined;
+  getColor: (name: string) => PropertyColor | undefined;
+  /** Resolved relative to the file the properties were loaded from */
+  getFile: (name: string) => string | undefined;
+  /** Referenced object id */
+  getObject: (name: string) => number | undefined;
+  getClass: (name: string) => Record<string, unknown> | undefined;
+};
+
+function parseValue(
+  property: TileProperty,
+  fromFile?: string,
+): PropertyValue | null {
+  const { name, value } = property;
+  const type = property.type ?? 'string';
+  switch (type) {
+    case 'string':
+      return String(value);
+    case 'int':
+    case 'float':
+    case 'object': {
+      const num = Number(value);
+      if (!Number.isFinite(num)) {
+        throw Error(`Property "${name}" has invalid ${type} value: ${value}`);
+      }
+      return type === 'float' ? num : Math.trunc(num);
+    }
+    case 'bool':
+      return value === true || value === 'true';
+    case 'color':
+      // Tiled saves unset colors as an empty string
+      return value === '' ? null : parseTiledColor(String(value));
+    case 'file':
+      return fromFile && value !== ''
+        ? resolveRelativePath(fromFile, String(value))
+        : String(value);
+    case 'class':
+      return (value ?? {}) as Record<string, unknown>;
+    default:
+      throw Error(`Property "${name}" has unsupported type: ${type}`);
+  }
+}
+
+/**
+ * Parses a Tiled `properties` array into typed properties.
+ * @param {TileProperty[]} [raw] - The `properties` array, if any.
+ * @param {string} [fromFile] - Path of the map or tileset, to resolve file properties against.
+ * @returns {Properties} properties
+ */
+export function createProperties(
+  raw?: TileProperty[],
+  fromFile?: string,
+): Properties {
+  const lookup: Record<string, ParsedProperty> = {};
+  for (const property of raw ?? []) {
+    lookup[property.name] = {
+      type: property.type ?? 'string',
+      propertyType: property.propertytype,
+      value: parseValue(property, fromFile),
+    };
+  }
+
+  function getTyped<T extends PropertyValue>(
+    name: string,
+    types: TilePropertyType[],
+  ): T | undefined {
+    const property = lookup[name];
+    if (!property || property.value === null) {
+      return undefined;
+    }
+    if (!types.includes(property.type)) {
+      throw Error(
+        `Property "${name}" is of type ${property.type}, expected ${types.join(' or ')}`,
+      );
+    }
+    return property.value as T;
+  }
+
+  return {
+    has: (name) => name in lookup,
+    names: () => Object.keys(lookup),
+    getPropertyType: (name) => lookup[name]?.propertyType,
+    getString: (name, fallback) =>
+      getTyped<string>(name, ['string']) ?? fallback,
+    getInt: (name, fallback) => getTyped<number>(name, ['int']) ?? fallback,
+    getFloat: (name, fallback) =>
+      getTyped<number>(name, ['float', 'int']) ?? fallback,
+    getBool: (name, fallback) => getTyped<boolean>(name, ['bool']) ?? fallback,
+    getColor: (name) => getTyped<PropertyColor>(name, ['color']),
+    getFile: (name) => getTyped<string>(name, ['file']),
+    getObject: (name) => {
+      const id = getTyped<number>(name, ['object']);
+      return id ? id : undefined; // 0 means no object
+    },
+    getClass: (name) => getTyped<Record<string, unknown>>(name, ['class']),
+  };
+}
@@ -0,0 +1,99 @@
+import { Assets, Rectangle, Texture } from 'pixi.js';
+import type { ExternalTileSet, TileMap, TileSet } from '@/types/tile.types';
+import { resolveRelativePath } from '@/utils/path';
+import { parseTsx } from '@/utils/tiled-xml';
+
+/** A map's tileset, with an external tileset's contents loaded */
+export type ResolvedTileSet = TileSet & {
+  /** Path of the external tileset file, which its paths are relative to (unset for embedded tilesets) */
+  sourcePath?: string;
+};
+
+// External tilesets are shared between levels, so are cached by path for the session
+const cache: Record<string, Promise<ExternalTileSet>> = {};
+
+async function fetchTileset(path: string): Promise<ExternalTileSet> {
+  const response = await fetch(path);
+  if (!response.ok) {
+    throw Error(`Failed to load tileset ${path} (${response.status})`);
+  }
+  if (/\.(tsx|xml)$/i.test(path)) {
+    return parseTsx(await response.text());
+  }
+  return (await response.json()) as ExternalTileSet; // .tsj / .json
+}
+
+export function loadExternalTileset(path: string): Promise<ExternalTileSet> {
+  if (!cache[path]) {
+    cache[path] = fetchTileset(path).catch((err) => {
+      delete cache[path]; // Allow retrying
+      throw err;
+    });
+  }
+  return cache[path];
+}
+
+// Returns the map's tilesets with any external references (`source`) replaced by their contents.
+// External paths are resolved relative to |mapPath|.
+export async function resolveTilesets(
+  tilemap: TileMap,
+  mapPath: string,
+): Promise<ResolvedTileSet[]> {
+  return Promise.all(
+    tilemap.tilesets.map(async (tileset) => {
+      if (!('source' in tileset)) {
+        return tileset;
+      }
+      const path = resolveRelativePath(mapPath, tileset.source);
+      const external = await loadExternalTileset(path);
+      return { ...external, firstgid: tileset.firstgid, sourcePath: path };
+    }),
+  );
+}
+
+// Slices a single image (grid) tileset into a texture per tile, indexed by local tile id.
+// - The image is resolved relative to |tilesetPath| (the map for embedded tilesets).
+// - Sampling is set to nearest neighbour to keep the pixels crisp.
+export async function loadTilesetTextures(
+  tileset: TileSet,
+  tilesetPath: string,
+): Promise<Texture[]> {
+  if (!tileset.image) {
+    throw Error(`Tileset "${tileset.name}" has no image`);
+  }
+  const image = await Assets.load<Texture>(
+    resolveRelativePath(tilesetPath, tileset.image),
+  );
+  image.source.scaleMode = 'nearest';
+
+  const { tilewidth, tileheight, margin, spacing } = tileset;
+  const imageWidth = tileset.imagewidth ?? image.width;
+  const imageHeight = tileset.imageheight ?? image.height;
+  const columns =
+    tileset.columns > 0
+      ? tileset.columns
+      : Math.floor((imageWidth - margin * 2 + spacing) / (tilewidth + spacing));
+  const rows = Math.floor(
+    (imageHeight - margin * 2 + spacing) / (tileheight + spacing),
+  );
+  const tilecount = tileset.tilecount > 0 ? tileset.tilecount : columns * rows;
+
+  const textures: Texture[] = [];
+  for (let id = 0; id < tilecount; id++) {
+    const x = margin + (id % columns) * (tilewidth + spacing);
+    const y = margin + Math.floor(id / columns) * (tileheight + spacing);
+    if (x + tilewidth > image.width || y + tileheight > image.height) {
+      throw Error(
+        `Tileset "${tileset.name}" tile ${id} lies outside its image (${image.width}x${image.height})`,
+      );
+    }
+    textures.push(
+      new Texture({
+        source: image.source,
+        frame: new Rectangle(x, y, tilewidth, tileheight),
+        label: `${tileset.name}/${id}`,
+      }),
+    );
+  }
+  return textures;
+}
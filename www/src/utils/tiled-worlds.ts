@@ -0,0 +1,39 @@
+import type { TileWorld } from '@/types/tile.types';
+import { resolveRelativePath } from '@/utils/path';
+
+// A map placed in a world, in world pixels
+export type WorldMap = {
+  /** Resolved path of the map, eg. `maps/room1.json` */
+  map: string;
+  x: number;
+  y: number;
+  width: number;
+  height: number;
+};
+
+export function isWorldPath(path: string) {
+  return /\.world$/i.test(path);
+}
+
+// Loads a Tiled world, with map paths resolved relative to the world file.
+// Patterns need a folder listing, so are expanded by the Tiled maps plugin.
+export async function loadTileWorld(path: string): Promise<WorldMap[]> {
+  const response = await fetch(path);
+  if (!response.ok) {
+    throw Error(`Failed to load world ${path} (${response.status})`);
+  }
+  const world = (await response.json()) as TileWorld;
+  if (world.patterns?.length) {
+    throw Error(`World ${path} has patterns, load the compiled world instead`);
+  }
+  if (!world.maps?.length) {
+    throw Error(`World ${path} has no maps`);
+  }
+  return world.maps.map(({ fileName, x, y, width, height }) => ({
+    map: resolveRelativePath(path, fileName),
+    x,
+    y,
+    width,
+    height,
+  }));
+}
@@ -0,0 +1,446 @@
+import type {
+  ExternalTileSet,
+  Tile,
+  TileDataCompression,
+  TileDataEncoding,
+  TileLayer,
+  TileLayerBlendMode,
+  TileLayerChunk,
+  TileMap,
+  TileMapObject,
+  TileMapPoint,
+  TileObjectAlignment,
+  TileProperty,
+  TilePropertyType,
+} from '@/types/tile.types';
+// Relative, as this is also bundled with the Vite config (where the @ alias isn't available)
+import { getChild, getChildren, parseXml, type XmlElement } from './xml';
+
+// Converts Tiled's XML formats into the JSON format structures
+// Reference: https://doc.mapeditor.org/en/stable/reference/tmx-map-format/
+
+function num(element: XmlElement, name: string, fallback: number = 0) {
+  const value = element.attributes[name];
+  return value === undefined || value === '' ? fallback : Number(value);
+}
+
+function optNum(element: XmlElement, name: string) {
+  const value = element.attributes[name];
+  return value === undefined || value === '' ? undefined : Number(value);
+}
+
+// Booleans are stored as 0 / 1
+function bool(element: XmlElement, name: string, fallback: boolean) {
+  const value = element.attributes[name];
+  return value === undefined || value === '' ? fallback : value !== '0';
+}
+
+export function parsePropertiesElement(
+  parent: XmlElement,
+): TileProperty[] | undefined {
+  const properties = getChild(parent, 'properties');
+  if (!properties) {
+    return undefined;
+  }
+  return getChildren(properties, 'property').map((property) => {
+    const type = (property.attributes.type ?? 'string') as TilePropertyType;
+    let value: unknown;
+    if (type === 'class') {
+      // Class members are nested properties, stored as a plain object like the JSON format
+      value = Object.fromEntries(
+        (parsePropertiesElement(property) ?? []).map((member) => [
+          member.name,
+          member.value,
+        ]),
+      );
+    } else {
+      // Multi-line strings are stored as text content
+      const raw = property.attributes.value ?? property.text;
+      if (type === 'int' || type === 'float' || type === 'object') {
+        value = Number(raw);
+      } else if (type === 'bool') {
+        value = raw === 'true';
+      } else {
+        value = raw;
+      }
+    }
+    const result: TileProperty = {
+      name: property.attributes.name,
+      type,
+      value,
+    };
+    if (property.attributes.propertytype) {
+      result.propertytype = property.attributes.propertytype;
+    }
+    return result;
+  });
+}
+
+function parseTileElement(element: XmlElement): Tile {
+  const tile: Tile = { id: num(element, 'id') };
+  const className = element.attributes.class ?? element.attributes.type;
+  if (className) {
+    tile.type = className;
+  }
+  const image = getChild(element, 'image');
+  if (image) {
+    tile.image = image.attributes.source;
+    tile.imagewidth = num(image, 'width');
+    tile.imageheight = num(image, 'height');
+  }
+  const animation = getChild(element, 'animation');
+  if (animation) {
+    tile.animation = getChildren(animation, 'frame').map((frame) => ({
+      tileid: num(frame, 'tileid'),
+      duration: num(frame, 'duration'),
+    }));
+  }
+  const properties = parsePropertiesElement(element);
+  if (properties) {
+    tile.properties = properties;
+  }
+  return tile;
+}
+
+// Parses a <tileset> element, either from a .tsx file or embedded in a map (with a firstgid)
+export function parseTilesetElement(element: XmlElement): ExternalTileSet {
+  const tileset: ExternalTileSet = {
+    name: element.attributes.name ?? '',
+    tilewidth: num(element, 'tilewidth'),
+    tileheight: num(element, 'tileheight'),
+    tilecount: num(element, 'tilecount'),
+    columns: num(element, 'columns'),
+    margin: num(element, 'margin'),
+    spacing: num(element, 'spacing'),
+  };
+
+  const objectalignment = element.attributes.objectalignment;
+  if (objectalignment) {
+    tileset.objectalignment = objectalignment as TileObjectAlignment;
+  }
+  const tilerendersize = element.attributes.tilerendersize;
+  if (tilerendersize === 'tile' || tilerendersize === 'grid') {
+    tileset.tilerendersize = tilerendersize;
+  }
+  const fillmode = element.attributes.fillmode;
+  if (fillmode === 'stretch' || fillmode === 'preserve-aspect-fit') {
+    tileset.fillmode = fillmode;
+  }
+
+  const tileoffset = getChild(element, 'tileoffset');
+  if (tileoffset) {
+    tileset.tileoffset = { x: num(tileoffset, 'x'), y: num(tileoffset, 'y') };
+  }
+
+  const grid = getChild(element, 'grid');
+  if (grid) {
+    tileset.grid = {
+      orientation:
+        grid.attributes.orientation === 'isometric'
+          ? 'isometric'
+          : 'orthogonal',
+      width: num(grid, 'width'),
+      height: num(grid, 'height'),
+    };
+  }
+
+  const image = getChild(element, 'image');
+  if (image) {
+    tileset.image = image.attributes.source;
+    tileset.imagewidth = optNum(image, 'width');
+    tileset.imageheight = optNum(image, 'height');
+  }
+
+  const properties = parsePropertiesElement(element);
+  if (properties) {
+    tileset.properties = properties;
+  }
+
+  const tiles = getChildren(element, 'tile');
+  if (tiles.length > 0) {
+    tileset.tiles = tiles.map(parseTileElement);
+  }
+
+  return tileset;
+}
+
+export function parseTsx(xml: string): ExternalTileSet {
+  const root = parseXml(xml);
+  if (root.name !== 'tileset') {
+    throw Error(`TSX: Expected <tileset> root element, got <${root.name}>`);
+  }
+  return { type: 'tileset', ...parseTilesetElement(root) };
+}
+
+// Maps
+// ----
+
+type TileData = Pick<
+  TileLayer,
+  'data' | 'encoding' | 'compression' | 'chunks' | 'startx' | 'starty'
+>;
+
+// CSV and base64 data are kept as text (decoded along with JSON maps by |decodeTileData|),
+// the deprecated XML format of a <tile> element per GID is converted to an array.
+function parseDataContent(
+  element: XmlElement,
+  encoding: string | undefined,
+): TileLayerChunk['data'] {
+  if (!encoding) {
+    return getChildren(element, 'tile').map((tile) => num(tile, 'gid'));
+  }
+  return element.text.trim();
+}
+
+function parseDataElement(element: XmlElement): TileData {
+  const result: TileData = {};
+  const encoding = element.attributes.encoding as TileDataEncoding | undefined;
+  if (encoding) {
+    result.encoding = encoding;
+  }
+  const compression = element.attributes.compression as
+    | TileDataCompression
+    | undefined;
+  if (compression) {
+    result.compression = compression;
+  }
+  const chunks = getChildren(element, 'chunk');
+  if (chunks.length > 0) {
+    result.chunks = chunks.map((chunk) => ({
+      x: num(chunk, 'x'),
+      y: num(chunk, 'y'),
+      width: num(chunk, 'width'),
+      height: num(chunk, 'height'),
+      data: parseDataContent(chunk, encoding),
+    }));
+    result.startx = Math.min(...result.chunks.map((chunk) => chunk.x));
+    result.starty = Math.min(...result.chunks.map((chunk) => chunk.y));
+  } else {
+    result.data = parseDataContent(element, encoding);
+  }
+  return result;
+}
+
+function parsePoints(points: string | undefined): TileMapPoint[] {
+  return (points ?? '')
+    .trim()
+    .split(/\s+/)
+    .filter((point) => point.length > 0)
+    .map((point) => {
+      const [x, y] = point.split(',').map(Number);
+      return { x, y };
+    });
+}
+
+function parseObjectElement(element: XmlElement): TileMapObject {
+  const object: TileMapObject = {
+    id: num(element, 'id'),
+    name: element.attributes.name ?? '',
+    x: num(element, 'x'),
+    y: num(element, 'y'),
+    width: num(element, 'width'),
+    height: num(element, 'height'),
+    rotation: num(element, 'rotation'),
+    visible: bool(element, 'visible', true),
+  };
+  const className = element.attributes.class ?? element.attributes.type;
+  if (className) {
+    object.type = className;
+  }
+  const gid = optNum(element, 'gid');
+  if (gid !== undefined) {
+    object.gid = gid;
+  }
+  if (element.attributes.template) {
+    object.template = element.attributes.template;
+  }
+  if (getChild(element, 'point')) {
+    object.point = true;
+  }
+  if (getChild(element, 'ellipse')) {
+    object.ellipse = true;
+  }
+  const polygon = getChild(element, 'polygon');
+  if (polygon) {
+    object.polygon = parsePoints(polygon.attributes.points);
+  }
+  const polyline = getChild(element, 'polyline');
+  if (polyline) {
+    object.polyline = parsePoints(polyline.attributes.points);
+  }
+  const text = getChild(element, 'text');
+  if (text) {
+    object.text = { text: text.text, wrap: bool(text, 'wrap', false) };
+  }
+  const properties = parsePropertiesElement(element);
+  if (properties) {
+    object.properties = properties;
+  }
+  return object;
+}
+
+const LAYER_TYPES: Record<string, TileLayer['type']> = {
+  layer: 'tilelayer',
+  objectgroup: 'objectgroup',
+  imagelayer: 'imagelayer',
+  group: 'group',
+};
+
+function parseLayerElements(parent: XmlElement): TileLayer[] {
+  return parent.children
+    .filter((child) => child.name in LAYER_TYPES)
+    .map(parseLayerElement);
+}
+
+function parseLayerElement(element: XmlElement): TileLayer {
+  const type = LAYER_TYPES[element.name];
+  const layer: TileLayer = {
+    id: num(element, 'id'),
+    name: element.attributes.name ?? '',
+    type,
+    opacity: num(element, 'opacity', 1.0),
+    visible: bool(element, 'visible', true),
+    x: 0,
+    y: 0,
+  };
+  const offsetx = optNum(element, 'offsetx');
+  if (offsetx !== undefined) {
+    layer.offsetx = offsetx;
+  }
+  const offsety = optNum(element, 'offsety');
+  if (offsety !== undefined) {
+    layer.offsety = offsety;
+  }
+  const parallaxx = optNum(element, 'parallaxx');
+  if (parallaxx !== undefined) {
+    layer.parallaxx = parallaxx;
+  }
+  const parallaxy = optNum(element, 'parallaxy');
+  if (parallaxy !== undefined) {
+    layer.parallaxy = parallaxy;
+  }
+  if (element.attributes.tintcolor) {
+    layer.tintcolor = element.attributes.tintcolor;
+  }
+  if (element.attributes.mode) {
+    layer.mode = element.attributes.mode as TileLayerBlendMode;
+  }
+
+  switch (type) {
+    case 'tilelayer': {
+      layer.width = num(element, 'width');
+      layer.height = num(element, 'height');
+      const data = getChild(element, 'data');
+      if (data) {
+        Object.assign(layer, parseDataElement(data));
+      }
+      break;
+    }
+    case 'objectgroup':
+      layer.draworder =
+        element.attributes.draworder === 'index' ? 'index' : 'topdown';
+      layer.objects = getChildren(element, 'object').map(parseObjectElement);
+      break;
+    case 'imagelayer': {
+      const image = getChild(element, 'image');
+      if (image) {
+        layer.image = image.attributes.source;
+        layer.imagewidth = optNum(image, 'width');
+        layer.imageheight = optNum(image, 'height');
+        if (image.attributes.trans) {
+          layer.transparentcolor = `#${image.attributes.trans}`;
+        }
+      }
+      layer.repeatx = bool(element, 'repeatx', false);
+      layer.repeaty = bool(element, 'repeaty', false);
+      break;
+    }
+    case 'group':
+      layer.layers = parseLayerElements(element);
+      break;
+  }
+
+  const properties = parsePropertiesElement(element);
+  if (properties) {
+    layer.properties = properties;
+  }
+  return layer;
+}
+
+/**
+ * Parses a Tiled .tmx map into the same structure as a JSON (.tmj) map.
+ * - External tilesets are kept as references, to be loaded relative to the map.
+ * - Tile layer data is left encoded, see |decodeTileData|.
+ * @param {string} xml - The .tmx file contents.
+ * @returns {TileMap} tilemap
+ */
+export function parseTmx(xml: string): TileMap {
+  const root = parseXml(xml);
+  if (root.name !== 'map') {
+    throw Error(`TMX: Expected <map> root element, got <${root.name}>`);
+  }
+
+  const tilemap: TileMap = {
+    type: 'map',
+    version: root.attributes.version ?? '',
+    tiledversion: root.attributes.tiledversion ?? '',
+    orientation: (root.attributes.orientation ??
+      'orthogonal') as TileMap['orientation'],
+    width: num(root, 'width'),
+    height: num(root, 'height'),
+    tilewidth: num(root, 'tilewidth'),
+    tileheight: num(root, 'tileheight'),
+    infinite: bool(root, 'infinite', false),
+    compressionlevel: num(root, 'compressionlevel', -1),
+    nextlayerid: num(root, 'nextlayerid'),
+    nextobjectid: num(root, 'nextobjectid'),
+    editorsettings: undefined,
+    layers: parseLayerElements(root),
+    tilesets: getChildren(root, 'tileset').map((element) => {
+      const firstgid = num(element, 'firstgid');
+      if (element.attributes.source) {
+        return { firstgid, source: element.attributes.source };
+      }
+      return { ...parseTilesetElement(element), firstgid };
+    }),
+  };
+
+  const renderorder = root.attributes.renderorder;
+  if (
+    renderorder === 'right-down' ||
+    renderorder === 'right-up' ||
+    renderorder === 'left-down' ||
+    renderorder === 'left-up'
+  ) {
+    tilemap.renderorder = renderorder;
+  }
+  const staggeraxis = root.attributes.staggeraxis;
+  if (staggeraxis === 'x' || staggeraxis === 'y') {
+    tilemap.staggeraxis = staggeraxis;
+  }
+  const staggerindex = root.attributes.staggerindex;
+  if (staggerindex === 'odd' || staggerindex === 'even') {
+    tilemap.staggerindex = staggerindex;
+  }
+  const hexsidelength = optNum(root, 'hexsidelength');
+  if (hexsidelength !== undefined) {
+    tilemap.hexsidelength = hexsidelength;
+  }
+  if (root.attributes.backgroundcolor) {
+    tilemap.backgroundcolor = root.attributes.backgroundcolor;
+  }
+  const parallaxoriginx = optNum(root, 'parallaxoriginx');
+  if (parallaxoriginx !== undefined) {
+    tilemap.parallaxoriginx = parallaxoriginx;
+  }
+  const parallaxoriginy = optNum(root, 'parallaxoriginy');
+  if (parallaxoriginy !== undefined) {
+    tilemap.parallaxoriginy = parallaxoriginy;
+  }
+  const properties = parsePropertiesElement(root);
+  if (properties) {
+    tilemap.properties = properties;
+  }
+
+  return tilemap;
+}
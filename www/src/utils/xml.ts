@@ -0,0 +1,119 @@
+// Minimal XML parser, enough for Tiled's TMX / TSX formats.
+// - Works without the DOM so it can also run at build time (in Node).
+// - Ignores comments, processing instructions and doctypes. Namespaces aren't resolved.
+
+export type XmlElement = {
+  name: string;
+  attributes: Record<string, string>;
+  children: XmlElement[];
+  /** Concatenated text content directly within the element (entities decoded) */
+  text: string;
+};
+
+const TAG_REGEX =
+  /<([^\s/>]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/y;
+const ATTRIBUTE_REGEX = /([^\s=/>]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+
+const ENTITIES: Record<string, string> = {
+  lt: '<',
+  gt: '>',
+  amp: '&',
+  quot: '"',
+  apos: "'",
+};
+
+function decodeEntities(text: string) {
+  return text.replace(/&(#x[0-9a-f]+|#[0-9]+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      return String.fromCodePoint(
+        entity[1] === 'x' || entity[1] === 'X'
+          ? parseInt(entity.substring(2), 16)
+          : parseInt(entity.substring(1), 10),
+      );
+    }
+    return ENTITIES[entity] ?? match;
+  });
+}
+
+// Returns the root element
+export function parseXml(xml: string): XmlElement {
+  const root: XmlElement = { name: '', attributes: {}, children: [], text: '' };
+  const stack = [root];
+  let i = 0;
+
+  function skipTo(token: string, from: number) {
+    const end = xml.indexOf(token, from);
+    if (end === -1) {
+      throw Error(`XML: Expected ${token} after position ${from}`);
+    }
+    return end;
+  }
+
+  while (i < xml.length) {
+    const current = stack[stack.length - 1];
+    const lt = xml.indexOf('<', i);
+    if (lt === -1) {
+      current.text += decodeEntities(xml.substring(i));
+      break;
+    }
+    if (lt > i) {
+      current.text += decodeEntities(xml.substring(i, lt));
+    }
+
+    if (xml.startsWith('<!--', lt)) {
+      i = skipTo('-->', lt) + 3;
+    } else if (xml.startsWith('<![CDATA[', lt)) {
+      const end = skipTo(']]>', lt);
+      current.text += xml.substring(lt + 9, end);
+      i = end + 3;
+    } else if (xml.startsWith('<?', lt)) {
+      i = skipTo('?>', lt) + 2;
+    } else if (xml.startsWith('<!', lt)) {
+      i = skipTo('>', lt) + 1;
+    } else if (xml.startsWith('</', lt)) {
+      const end = skipTo('>', lt);
+      const name = xml.substring(lt + 2, end).trim();
+      if (stack.length <= 1 || current.name !== name) {
+        throw Error(`XML: Unexpected closing tag </${name}>`);
+      }
+      stack.pop();
+      i = end + 1;
+    } else {
+      TAG_REGEX.lastIndex = lt;
+      const match = TAG_REGEX.exec(xml);
+      if (!match) {
+        throw Error(`XML: Invalid tag at position ${lt}`);
+      }
+      const element: XmlElement = {
+        name: match[1],
+        attributes: {},
+        children: [],
+        text: '',
+      };
+      for (const attr of match[2].matchAll(ATTRIBUTE_REGEX)) {
+        element.attributes[attr[1]] = decodeEntities(attr[2] ?? attr[3]);
+      }
+      current.children.push(element);
+      if (!match[3]) {
+        stack.push(element); // Not self closing
+      }
+      i = TAG_REGEX.lastIndex;
+    }
+  }
+
+  if (stack.length > 1) {
+    throw Error(`XML: Unclosed tag <${stack[stack.length - 1].name}>`);
+  }
+  if (root.children.length !== 1) {
+    throw Error('XML: Expected a single root element');
+  }
+  return root.children[0];
+}
+
+export function getChild(element: XmlElement, name: string) {
+  return element.children.find((child) => child.name === name);
+}
+
+export function getChildren(element: XmlElement, name: string) {
+  return element.children.filter((child) => child.name === name);
+}
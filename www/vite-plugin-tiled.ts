@@ -0,0 +1,926 @@
+import fs from 'fs';
+import path from 'path';
+import type { Plugin, ViteDevServer } from 'vite';
+import type { LevelEntry, LevelManifestSource } from './src/types/level.types';
+import type {
+  ExternalTileSet,
+  TileLayer,
+  TileMap,
+  TileMapObject,
+  TileSet,
+  TileWorld,
+  TileWorldMap,
+} from './src/types/tile.types';
+import { parseTiledColor } from './src/utils/color';
+import { decodeTileData } from './src/utils/tiled-data';
+import { parseGid } from './src/utils/tiled-gid';
+import { getTextureName } from './src/utils/path';
+import {
+  getCellTileBounds,
+  getObjectTileBounds,
+  type Rect,
+} from './src/utils/tiled-placement';
+import { createMapProjection } from './src/utils/tiled-projection';
+import { parseTmx, parseTsx } from './src/utils/tiled-xml';
+
+// Tiled maps plugin
+// -----------------
+// Compiles the Tiled maps in |mapsDir| (*.tmx) into JSON served at `maps/<name>.json`.
+// - External tilesets are embedded and file paths are made relative to the output map.
+// - Every tile used is checked against the spritesheet frames, failing the build with the
+//   file and layer of each missing tile.
+// - In dev, maps are compiled on request and a `tiled:map-update` event is sent when they change.
+// - Fixture maps and worlds in |mapsDir|/fixtures check the tile bounds math and world placement
+//   instead, and aren't output.
+// - The level manifest |mapsDir|/levels.json is compiled to `maps/levels.json`, with its map
+//   paths checked and made relative to the public base. Without one every map is listed by name.
+// - World files (*.world) are compiled to `maps/<name>.world` with their patterns expanded into a
+//   list of maps. World maps must be orthogonal, share a tile size and sit on the tile grid.
+
+export type TiledMapsOptions = {
+  /** Folder containing the .tmx files (relative to the Vite root) */
+  mapsDir: string;
+  /** Spritesheet data within the public folder */
+  sheet: string;
+  /** Output folder for the compiled maps, within the public base */
+  outDir: string;
+};
+
+type SheetData = {
+  frames: Record<string, unknown>;
+  animations?: Record<string, string[]>;
+};
+
+type CompileContext = {
+  root: string;
+  publicDir: string;
+  outDir: string;
+  sheet: SheetData;
+  sheetName: string;
+  fixture: boolean;
+};
+
+// Also used for the level manifest
+type CompiledMap = {
+  /** Output path, eg. `maps/level1.json` */
+  fileName: string;
+  fixture: boolean;
+  json: string;
+  errors: string[];
+  /** Source files the map was compiled from (the map and any external tilesets) */
+  files: string[];
+  /** The compiled map, for worlds */
+  tilemap?: TileMap;
+};
+
+type LoadedTileSet = TileSet & {
+  /** Folder the tileset's paths are relative to */
+  dir: string;
+};
+
+const MAX_ERRORS_PER_MAP = 20;
+
+const MANIFEST_NAME = 'levels';
+
+function toPosix(filePath: string) {
+  return filePath.split(path.sep).join('/');
+}
+
+function loadTileset(file: string): ExternalTileSet {
+  const contents = fs.readFileSync(file, 'utf-8');
+  if (/\.(tsx|xml)$/i.test(file)) {
+    return parseTsx(contents);
+  }
+  return JSON.parse(contents) as ExternalTileSet; // .tsj / .json
+}
+
+async function compileMap(
+  file: string,
+  { root, publicDir, outDir, sheet, sheetName, fixture }: CompileContext,
+): Promise<CompiledMap> {
+  const name = path.basename(file, path.extname(file));
+  const fileName = `${outDir}/${name}.json`;
+  const outputDir = path.resolve(publicDir, outDir);
+  const location = toPosix(path.relative(root, file));
+  const result: CompiledMap = {
+    fileName,
+    fixture,
+    json: '',
+    errors: [],
+    files: [file],
+  };
+
+  function error(message: string) {
+    result.errors.push(`${location}: ${message}`);
+  }
+
+  // Paths are rewritten relative to the compiled map, like a Tiled export to that folder
+  function rebase(dir: string, filePath: string, mustBePublic: boolean) {
+    const absolute = path.resolve(dir, filePath);
+    if (mustBePublic && path.relative(publicDir, absolute).startsWith('..')) {
+      error(`${filePath} is loaded at runtime so must be in the public folder`);
+    }
+    return toPosix(path.relative(outputDir, absolute));
+  }
+
+  let tilemap: TileMap;
+  try {
+    tilemap = parseTmx(fs.readFileSync(file, 'utf-8'));
+  } catch (err) {
+    error((err as Error).message);
+    return result;
+  }
+  const mapDir = path.dirname(file);
+
+  // Tilesets
+
+  const tilesets: LoadedTileSet[] = [];
+  for (const tileset of tilemap.tilesets) {
+    if (!('source' in tileset)) {
+      tilesets.push({ ...tileset, dir: mapDir });
+      continue;
+    }
+    const tilesetFile = path.resolve(mapDir, tileset.source);
+    result.files.push(tilesetFile);
+    try {
+      const external = loadTileset(tilesetFile);
+      delete external.type;
+      tilesets.push({
+        ...external,
+        firstgid: tileset.firstgid,
+        dir: path.dirname(tilesetFile),
+      });
+    } catch (err) {
+      error(`tileset ${tileset.source}: ${(err as Error).message}`);
+    }
+  }
+  tilesets.sort((a, b) => b.firstgid - a.firstgid); // Highest first, for lookups
+
+  // Returns why the tile can't be drawn, if it can't
+  // (animation frames are checked without their own animations, which usually include the tile)
+  function checkTile(gid: number, checkAnimation = true): string | undefined {
+    const tileset = tilesets.find((tileset) => tileset.firstgid <= gid);
+    if (!tileset) {
+      return `tile ${gid} isn't in any tileset`;
+    }
+    const id = gid - tileset.firstgid;
+    if (tileset.image) {
+      return id < tileset.tilecount
+        ? undefined
+        : `tile ${gid} is past the end of tileset "${tileset.name}"`;
+    }
+    const tile = tileset.tiles?.find((tile) => tile.id === id);
+    if (!tile) {
+      return `tile ${gid} (id ${id}) isn't in tileset "${tileset.name}"`;
+    }
+    if (!tile.image) {
+      return `tile ${gid} (tileset "${tileset.name}" id ${id}) has no image`;
+    }
+    const tx = getTextureName(tile.image);
+    const animBase = tx.endsWith('_0') ? tx.slice(0, -2) : null;
+    if (!sheet.frames[tx] && !(animBase && sheet.animations?.[animBase])) {
+      return `tile ${gid} (${tile.image}) has no frame "${tx}" in ${sheetName}`;
+    }
+    for (const frame of checkAnimation ? (tile.animation ?? []) : []) {
+      const reason = checkTile(tileset.firstgid + frame.tileid, false);
+      if (reason) {
+        return `tile ${gid} animation frame: ${reason}`;
+      }
+    }
+    return undefined;
+  }
+
+  // Each problem tile is reported once, at its first use
+  const problems = new Map<number, { reason: string; where: string[] }>();
+  function validate(rawGid: number, where: string) {
+    const { gid } = parseGid(rawGid);
+    if (gid === 0) {
+      return;
+    }
+    let problem = problems.get(gid);
+    if (!problem) {
+      const reason = checkTile(gid);
+      if (!reason) {
+        return;
+      }
+      problem = { reason, where: [] };
+      problems.set(gid, problem);
+    }
+    problem.where.push(where);
+  }
+
+  // Layers
+
+  const layerGids = new Map<string, number[]>(); // Keyed by layer path, for fixtures
+  async function compileLayers(layers: TileLayer[], parentPath: string) {
+    for (const layer of layers) {
+      const layerPath = parentPath ? `${parentPath}/${layer.name}` : layer.name;
+      const where = `layer "${layerPath}"`;
+      try {
+        switch (layer.type) {
+          case 'tilelayer':
+            await compileTileLayer(layer, layerPath, where);
+            break;
+          case 'objectgroup':
+            for (const object of layer.objects ?? []) {
+              if (object.gid) {
+                validate(object.gid, `${where} object ${object.id}`);
+              }
+            }
+            break;
+          case 'imagelayer':
+            if (layer.image) {
+              layer.image = rebase(mapDir, layer.image, true);
+            }
+            break;
+          case 'group':
+            await compileLayers(layer.layers ?? [], layerPath);
+            break;
+        }
+      } catch (err) {
+        error(`${where}: ${(err as Error).message}`);
+      }
+    }
+  }
+
+  // CSV data is stored as a plain array like Tiled's JSON export, base64 data is kept compressed
+  async function compileTileLayer(
+    layer: TileLayer,
+    layerPath: string,
+    where: string,
+  ) {
+    const keepEncoded = layer.encoding === 'base64';
+    if (layer.chunks) {
+      for (const chunk of layer.chunks) {
+        const gids = await decodeTileData(
+          chunk.data,
+          layer.encoding,
+          layer.compression,
+          chunk.width * chunk.height,
+        );
+        gids.forEach((gid, i) => {
+          const col = chunk.x + (i % chunk.width);
+          const row = chunk.y + Math.floor(i / chunk.width);
+          validate(gid, `${where} at (${col}, ${row})`);
+        });
+        if (!keepEncoded) {
+          chunk.data = gids;
+        }
+      }
+    } else if (layer.data !== undefined) {
+      const width = layer.width ?? tilemap.width;
+      const gids = await decodeTileData(
+        layer.data,
+        layer.encoding,
+        layer.compression,
+        width * (layer.height ?? tilemap.height),
+      );
+      gids.forEach((gid, i) => {
+        validate(gid, `${where} at (${i % width}, ${Math.floor(i / width)})`);
+      });
+      layerGids.set(layerPath, gids);
+      if (!keepEncoded) {
+        layer.data = gids;
+      }
+    }
+    if (!keepEncoded) {
+      delete layer.encoding;
+    }
+  }
+
+  await compileLayers(tilemap.layers, '');
+
+  for (const { reason, where } of problems.values()) {
+    const more = where.length > 1 ? ` (and ${where.length - 1} more)` : '';
+    error(`${where[0]}: ${reason}${more}`);
+  }
+
+  if (fixture && result.errors.length === 0) {
+    checkFixture(tilemap, tilesets, layerGids).forEach(error);
+  }
+
+  // Embed the tilesets with their paths relative to the output
+
+  tilemap.tilesets = tilesets
+    .sort((a, b) => a.firstgid - b.firstgid)
+    .map(({ dir, ...tileset }) => ({
+      ...tileset,
+      image: tileset.image && rebase(dir, tileset.image, true),
+      tiles: tileset.tiles?.map((tile) => ({
+        ...tile,
+        image: tile.image && rebase(dir, tile.image, false), // Spritesheet frames
+      })),
+    }));
+  tilemap.editorsettings = undefined;
+
+  if (result.errors.length > MAX_ERRORS_PER_MAP) {
+    const count = result.errors.length - MAX_ERRORS_PER_MAP;
+    result.errors.length = MAX_ERRORS_PER_MAP;
+    result.errors.push(`${location}: ... and ${count} more errors`);
+  }
+
+  result.json = JSON.stringify(tilemap);
+  result.tilemap = tilemap;
+  return result;
+}
+
+// Places the world's maps, |maps| are the compiled maps (fixtures for a fixture world)
+function compileWorld(
+  file: string,
+  maps: CompiledMap[],
+  {
+    root,
+    outDir,
+    fixture,
+  }: Pick<CompileContext, 'root' | 'outDir' | 'fixture'>,
+): CompiledMap {
+  const location = toPosix(path.relative(root, file));
+  const worldDir = path.dirname(file);
+  const result: CompiledMap = {
+    fileName: `${outDir}/${path.basename(file)}`,
+    fixture,
+    json: '',
+    errors: [],
+    files: [file],
+  };
+
+  function error(message: string) {
+    result.errors.push(`${location}: ${message}`);
+  }
+
+  let world: TileWorld;
+  try {
+    world = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  } catch (err) {
+    error((err as Error).message);
+    return result;
+  }
+
+  // Keyed by source file
+  const compiledMaps = new Map(maps.map((map) => [map.files[0], map]));
+
+  const placed: { map: CompiledMap; rect: TileWorldMap }[] = [];
+  function place(map: CompiledMap, rect: TileWorldMap) {
+    const { tilemap } = map;
+    if (!tilemap) {
+      return; // Failed to compile, the map reports why
+    }
+    placed.push({
+      map,
+      rect: {
+        ...rect,
+        width: rect.width || tilemap.width * tilemap.tilewidth,
+        height: rect.height || tilemap.height * tilemap.tileheight,
+      },
+    });
+  }
+
+  for (const rect of world.maps ?? []) {
+    const map = compiledMaps.get(path.resolve(worldDir, rect.fileName));
+    if (!map) {
+      error(`map ${rect.fileName} not found`);
+      continue;
+    }
+    place(map, rect);
+  }
+
+  // Patterns match the maps in the world's folder, like Tiled
+  for (const pattern of world.patterns ?? []) {
+    let regexp: RegExp;
+    try {
+      regexp = new RegExp(pattern.regexp);
+    } catch (err) {
+      error(`pattern ${pattern.regexp}: ${(err as Error).message}`);
+      continue;
+    }
+    for (const [mapFile, map] of compiledMaps) {
+      if (path.dirname(mapFile) !== worldDir) {
+        continue;
+      }
+      const match = regexp.exec(path.basename(mapFile));
+      if (!match || match[1] === undefined || match[2] === undefined) {
+        continue;
+      }
+      place(map, {
+        fileName: path.basename(mapFile),
+        x: Number(match[1]) * pattern.multiplierX + pattern.offsetX,
+        y: Number(match[2]) * pattern.multiplierY + pattern.offsetY,
+        width: pattern.mapWidth ?? pattern.multiplierX,
+        height: pattern.mapHeight ?? pattern.multiplierY,
+      });
+    }
+  }
+
+  if (placed.length === 0) {
+    error('no maps');
+    return result;
+  }
+
+  // Tile coordinates are shared across the world's maps
+  const first = placed[0].map.tilemap!;
+  for (const { map, rect } of placed) {
+    const { orientation, tilewidth, tileheight } = map.tilemap!;
+    const where = `map ${rect.fileName}`;
+    if (orientation !== 'orthogonal') {
+      error(`${where}: world maps must be orthogonal`);
+    } else if (
+      tilewidth !== first.tilewidth ||
+      tileheight !== first.tileheight
+    ) {
+      error(
+        `${where}: tile size ${tilewidth}x${tileheight} differs from ${first.tilewidth}x${first.tileheight}`,
+      );
+    } else if (rect.x % tilewidth !== 0 || rect.y % tileheight !== 0) {
+      error(`${where}: position (${rect.x}, ${rect.y}) isn't on the tile grid`);
+    }
+  }
+
+  if (fixture && result.errors.length === 0) {
+    checkWorldFixture(path.basename(file), placed, maps).forEach(error);
+  }
+
+  const compiled: TileWorld = {
+    type: 'world',
+    maps: placed.map(({ map, rect }) => ({
+      ...rect,
+      fileName: path.posix.relative(outDir, map.fileName), // Relative to the output world
+    })),
+  };
+  result.json = JSON.stringify(compiled);
+  return result;
+}
+
+// Lists the levels in play order, |maps| are the compiled (non fixture) maps and worlds
+function compileManifest(
+  file: string,
+  maps: CompiledMap[],
+  { root, outDir }: Pick<CompileContext, 'root' | 'outDir'>,
+): CompiledMap {
+  const location = toPosix(path.relative(root, file));
+  const result: CompiledMap = {
+    fileName: `${outDir}/${MANIFEST_NAME}.json`,
+    fixture: false,
+    json: '',
+    errors: [],
+    files: [file],
+  };
+
+  if (maps.some((map) => map.fileName === result.fileName)) {
+    result.errors.push(
+      `${location}: a map can't be named ${MANIFEST_NAME}.tmx, it's output to the same file`,
+    );
+    return result;
+  }
+
+  // Keyed by source file
+  const mapFileNames = new Map(maps.map((map) => [map.files[0], map.fileName]));
+
+  let source: LevelManifestSource;
+  if (fs.existsSync(file)) {
+    try {
+      source = JSON.parse(fs.readFileSync(file, 'utf-8'));
+      if (!Array.isArray(source.levels)) {
+        throw Error('expected a `levels` array');
+      }
+    } catch (err) {
+      result.errors.push(`${location}: ${(err as Error).message}`);
+      return result;
+    }
+  } else {
+    source = {
+      levels: [...mapFileNames.keys()]
+        .sort()
+        .map((mapFile) => ({ map: path.basename(mapFile) })),
+    };
+  }
+
+  const levels: LevelEntry[] = [];
+  source.levels.forEach((level, i) => {
+    const where = `${location}: level ${i + 1}`;
+    if (typeof level.map !== 'string') {
+      result.errors.push(`${where} has no map`);
+      return;
+    }
+    const fileName = mapFileNames.get(
+      path.resolve(path.dirname(file), level.map),
+    );
+    if (!fileName) {
+      result.errors.push(`${where}: map or world ${level.map} not found`);
+      return;
+    }
+    const id = level.id ?? path.basename(level.map, path.extname(level.map));
+    if (levels.some((entry) => entry.id === id)) {
+      result.errors.push(`${where}: id "${id}" is already used`);
+      return;
+    }
+    const entry: LevelEntry = { id, name: level.name ?? id, map: fileName };
+    for (const key of ['background', 'letterbox'] as const) {
+      const color = level[key];
+      if (color === undefined) {
+        continue;
+      }
+      try {
+        parseTiledColor(color);
+        entry[key] = color;
+      } catch (err) {
+        result.errors.push(`${where}: ${key} ${(err as Error).message}`);
+      }
+    }
+    levels.push(entry);
+  });
+  if (source.levels.length === 0) {
+    result.errors.push(`${location}: no levels`);
+  }
+
+  result.json = JSON.stringify({ levels });
+  return result;
+}
+
+// Fixtures
+// --------
+// Rectangles in a fixture's `expected` object layer give the bounds Tiled draws a tile at, with either
+// `layer`, `col` and `row` properties for a tile layer cell, or an `object` property for a tile object.
+// Those with a `world` property instead give the map's bounds in that fixture world (file name in
+// |mapsDir|/fixtures), checking where the world's maps and patterns place it.
+// - Orthogonal maps only, so object and screen pixels are the same.
+// - Tile render properties (see tile-render.ts) aren't applied, so shouldn't be set on fixture tiles.
+// - Only the bounds from tiled-placement.ts are checked, not the sprites the level places with them.
+
+function getObjectLayers(layers: TileLayer[]): TileLayer[] {
+  return layers.flatMap((layer) => [
+    ...(layer.type === 'objectgroup' ? [layer] : []),
+    ...getObjectLayers(layer.layers ?? []),
+  ]);
+}
+
+function getExpectations(tilemap: TileMap) {
+  return (
+    getObjectLayers(tilemap.layers).find((layer) => layer.name === 'expected')
+      ?.objects ?? []
+  );
+}
+
+function getObjectProperty(object: TileMapObject, name: string) {
+  return object.properties?.find((property) => property.name === name)?.value;
+}
+
+function formatRect({ x, y, width, height }: Rect) {
+  return `(${x}, ${y}) ${width}x${height}`;
+}
+
+function checkFixture(
+  tilemap: TileMap,
+  tilesets: LoadedTileSet[],
+  layerGids: Map<string, number[]>,
+): string[] {
+  if (tilemap.orientation !== 'orthogonal') {
+    return ['fixtures must be orthogonal maps'];
+  }
+  const projection = createMapProjection(tilemap);
+
+  const objects = getObjectLayers(tilemap.layers).flatMap(
+    (layer) => layer.objects ?? [],
+  );
+  const expectations = getExpectations(tilemap);
+  if (expectations.length === 0) {
+    return ['fixture has no rectangles in an `expected` object layer'];
+  }
+
+  function getTile(gid: number) {
+    const tileset = tilesets.find((tileset) => tileset.firstgid <= gid)!;
+    const tile = tileset.tiles?.find(
+      (tile) => tile.id === gid - tileset.firstgid,
+    );
+    return {
+      tileset,
+      width: tile?.imagewidth ?? tileset.tilewidth,
+      height: tile?.imageheight ?? tileset.tileheight,
+    };
+  }
+
+  // Where the tile is drawn, or why it can't be found
+  function getBounds(expected: TileMapObject): Rect | string {
+    const property = (name: string) => getObjectProperty(expected, name);
+
+    const objectId = property('object');
+    if (objectId !== undefined) {
+      const object = objects.find((object) => object.id === objectId);
+      if (!object?.gid) {
+        return `object ${objectId} isn't a tile object`;
+      }
+      const { tileset } = getTile(parseGid(object.gid).gid);
+      const bounds = getObjectTileBounds(
+        object.width,
+        object.height,
+        tileset,
+        tilemap.orientation,
+      );
+      return { ...bounds, x: object.x + bounds.x, y: object.y + bounds.y };
+    }
+
+    const layerPath = String(property('layer'));
+    const col = Number(property('col'));
+    const row = Number(property('row'));
+    const gids = layerGids.get(layerPath);
+    if (!gids) {
+      return `tile layer "${layerPath}" not found`;
+    }
+    const { gid, flips } = parseGid(gids[row * tilemap.width + col] ?? 0);
+    if (gid === 0) {
+      return `no tile in layer "${layerPath}" at (${col}, ${row})`;
+    }
+    const tile = getTile(gid);
+    const cell = {
+      ...projection.tileToScreen(col, row),
+      width: projection.tileWidth,
+      height: projection.tileHeight,
+    };
+    return getCellTileBounds(
+      cell,
+      flips.diagonal ? tile.height : tile.width,
+      flips.diagonal ? tile.width : tile.height,
+      tile.tileset,
+    );
+  }
+
+  const errors: string[] = [];
+  for (const expected of expectations) {
+    if (getObjectProperty(expected, 'world') !== undefined) {
+      continue; // Checked with the world
+    }
+    const where = `expected object ${expected.id}`;
+    const bounds = getBounds(expected);
+    if (typeof bounds === 'string') {
+      errors.push(`${where}: ${bounds}`);
+      continue;
+    }
+    const matches = (['x', 'y', 'width', 'height'] as const).every(
+      (key) => Math.abs(bounds[key] - expected[key]) < 0.01,
+    );
+    if (!matches) {
+      errors.push(
+        `${where}: tile drawn at ${formatRect(bounds)}, expected ${formatRect(expected)}`,
+      );
+    }
+  }
+  return errors;
+}
+
+// Every map placed in the world needs an expectation for it, and every expectation a matching placement
+function checkWorldFixture(
+  worldName: string,
+  placed: { map: CompiledMap; rect: TileWorldMap }[],
+  maps: CompiledMap[],
+): string[] {
+  const errors: string[] = [];
+  for (const map of maps) {
+    const where = `map ${path.basename(map.files[0])}`;
+    const rects = placed
+      .filter((placement) => placement.map === map)
+      .map((placement) => placement.rect);
+    const expectations = map.tilemap
+      ? getExpectations(map.tilemap).filter(
+          (expected) => getObjectProperty(expected, 'world') === worldName,
+        )
+      : [];
+    if (rects.length > 0 && expectations.length === 0) {
+      errors.push(`${where}: no expected rectangle for this world`);
+    }
+    for (const expected of expectations) {
+      const matches = rects.some((rect) =>
+        (['x', 'y', 'width', 'height'] as const).every(
+          (key) => rect[key] === expected[key],
+        ),
+      );
+      if (!matches) {
+        const actual = rects.map(formatRect).join(', ') || 'not placed';
+        errors.push(
+          `${where} expected object ${expected.id}: map at ${actual}, expected ${formatRect(expected)}`,
+        );
+      }
+    }
+  }
+  return errors;
+}
+
+export function tiledMaps(
+  options: TiledMapsOptions = {
+    mapsDir: '../tilemaps',
+    sheet: 'img/main.json',
+    outDir: 'maps',
+  },
+): Plugin {
+  let root = '';
+  let publicDir = '';
+  let isBuild = false;
+  let compiled: Promise<CompiledMap[]> | null = null;
+
+  function getMapsDir() {
+    return path.resolve(root, options.mapsDir);
+  }
+
+  function getSheetFile() {
+    return path.resolve(publicDir, options.sheet);
+  }
+
+  function getManifestFile() {
+    return path.join(getMapsDir(), `${MANIFEST_NAME}.json`);
+  }
+
+  // The sheet is a watched source too, so may be mid save, invalid or missing
+  function loadSheet(): SheetData | CompiledMap {
+    const file = getSheetFile();
+    try {
+      return JSON.parse(fs.readFileSync(file, 'utf-8')) as SheetData;
+    } catch (err) {
+      return {
+        fileName: options.sheet,
+        fixture: false,
+        json: '',
+        errors: [
+          `${toPosix(path.relative(root, file))}: ${(err as Error).message}`,
+        ],
+        files: [file],
+      };
+    }
+  }
+
+  async function compileAll(): Promise<CompiledMap[]> {
+    const sheet = loadSheet();
+    if ('errors' in sheet) {
+      return [sheet]; // Maps can't be checked without it
+    }
+    const context = {
+      root,
+      publicDir,
+      outDir: options.outDir,
+      sheet,
+      sheetName: options.sheet,
+    };
+    const listFiles = (dir: string, extension: string) =>
+      fs.existsSync(dir)
+        ? fs
+            .readdirSync(dir)
+            .filter((file) => file.endsWith(extension))
+            .map((file) => path.join(dir, file))
+        : [];
+    const listMaps = (dir: string) => listFiles(dir, '.tmx');
+    const mapsDir = getMapsDir();
+    const maps = await Promise.all([
+      ...listMaps(mapsDir).map((file) =>
+        compileMap(file, { ...context, fixture: false }),
+      ),
+      ...listMaps(path.join(mapsDir, 'fixtures')).map((file) =>
+        compileMap(file, { ...context, fixture: true }),
+      ),
+    ]);
+    const levelMaps = maps.filter((map) => !map.fixture);
+    const worlds = listFiles(mapsDir, '.world').map((file) =>
+      compileWorld(file, levelMaps, { ...context, fixture: false }),
+    );
+    const fixtureWorlds = listFiles(
+      path.join(mapsDir, 'fixtures'),
+      '.world',
+    ).map((file) =>
+      compileWorld(
+        file,
+        maps.filter((map) => map.fixture),
+        { ...context, fixture: true },
+      ),
+    );
+    const manifest = compileManifest(
+      getManifestFile(),
+      [...levelMaps, ...worlds],
+      context,
+    );
+    return [...maps, ...worlds, ...fixtureWorlds, manifest];
+  }
+
+  // Compiled once until a source file changes
+  function getCompiled() {
+    if (!compiled) {
+      compiled = compileAll().catch((err) => {
+        compiled = null; // Retried on the next request
+        throw err;
+      });
+    }
+    return compiled;
+  }
+
+  function getErrors(maps: CompiledMap[]) {
+    return maps.flatMap((map) => map.errors);
+  }
+
+  function isSourceFile(file: string) {
+    return (
+      (file.startsWith(getMapsDir()) && /\.(tmx|tsx|tsj|world)$/i.test(file)) ||
+      file === getManifestFile() ||
+      file === getSheetFile()
+    );
+  }
+
+  async function onSourceChange(server: ViteDevServer, file: string) {
+    if (!isSourceFile(file)) {
+      return;
+    }
+    compiled = null;
+    const maps = await getCompiled();
+    const errors = getErrors(maps);
+    if (errors.length > 0) {
+      const message = `Tiled maps:\n${errors.join('\n')}`;
+      server.config.logger.error(message);
+      server.ws.send({ type: 'error', err: { message, stack: '' } });
+      return;
+    }
+    server.config.logger.info(`Tiled maps: ${path.basename(file)} updated`);
+    server.ws.send({
+      type: 'custom',
+      event: 'tiled:map-update',
+      data: {
+        fileNames: maps
+          .filter((map) => map.files.includes(file))
+          .map((map) => map.fileName),
+      },
+    });
+  }
+
+  return {
+    name: 'tiled-maps',
+
+    configResolved(config) {
+      root = config.root;
+      publicDir = config.publicDir;
+      isBuild = config.command === 'build';
+    },
+
+    async buildStart() {
+      if (!isBuild) {
+        return;
+      }
+      const maps = await getCompiled();
+      for (const map of maps) {
+        map.files.forEach((file) => this.addWatchFile(file));
+      }
+      const errors = getErrors(maps);
+      if (errors.length > 0) {
+        this.error(`Tiled maps:\n${errors.join('\n')}`);
+      }
+    },
+
+    async generateBundle() {
+      for (const map of await getCompiled()) {
+        if (map.fixture) {
+          continue;
+        }
+        this.emitFile({
+          type: 'asset',
+          fileName: map.fileName,
+          source: map.json,
+        });
+      }
+    },
+
+    configureServer(server) {
+      server.watcher.add(getMapsDir());
+      for (const event of ['add', 'change', 'unlink']) {
+        server.watcher.on(event, (file: string) =>
+          onSourceChange(server, file).catch((err) =>
+            server.config.logger.error(
+              `Tiled maps: ${(err as Error).stack ?? err}`,
+            ),
+          ),
+        );
+      }
+
+      // Serve the compiled maps, before the public folder
+      server.middlewares.use(async (req, res, next) => {
+        try {
+          const url = req.url?.split('?')[0] ?? '';
+          const maps = url.startsWith(`/${options.outDir}/`)
+            ? await getCompiled()
+            : [];
+          // Every map fails with the sheet's error while it can't be read
+          const map = maps.find(
+            (map) =>
+              (!map.fixture && `/${map.fileName}` === url) ||
+              map.fileName === options.sheet,
+          );
+          if (!map) {
+            next();
+            return;
+          }
+          if (map.errors.length > 0) {
+            res.statusCode = 500;
+            res.end(map.errors.join('\n'));
+            return;
+          }
+          res.setHeader('Content-Type', 'application/json');
+          res.setHeader('Cache-Control', 'no-cache');
+          res.end(map.json);
+        } catch (err) {
+          next(err);
+        }
+      });
+    },
+  };
+}
@@ -2,9 +2,10 @@ import path from 'path';
 import react from '@vitejs/plugin-react';
 import { defineConfig } from 'vite';
 import tailwindcss from '@tailwindcss/vite';
+import { tiledMaps } from './vite-plugin-tiled';
 
 export default defineConfig({
-  plugins: [tailwindcss(), react()],
+  plugins: [tailwindcss(), react(), tiledMaps()],
   resolve: {
     alias: {
       '@': path.resolve(__dirname, './src'),